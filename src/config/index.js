@@ -1,20 +1,123 @@
 require('dotenv').config();
+const path = require('path');
 
 const config = {
   intercom: {
     accessToken: process.env.INTERCOM_ACCESS_TOKEN,
     baseUrl: process.env.INTERCOM_BASE_URL || 'https://api.intercom.io',
+    // App client secret used to sign webhook notifications
+    clientSecret: process.env.INTERCOM_CLIENT_SECRET,
+    // Admin the topic tag sync acts as when tagging conversations
+    adminId: process.env.INTERCOM_ADMIN_ID || null,
+    // Maximum number of conversation/contact detail requests in flight at once
+    concurrency: parseInt(process.env.INTERCOM_CONCURRENCY || '5', 10),
+    contactCache: {
+      ttlHours: parseFloat(process.env.CONTACT_CACHE_TTL_HOURS || '24'),
+      // Optional on-disk store so the cache survives between runs. It holds contact
+      // personal data (location, browser), so it is off unless a path is set.
+      path: process.env.CONTACT_CACHE_PATH || null,
+    },
   },
   caplena: {
     apiKey: process.env.CAPLENA_API_KEY,
     baseUrl: process.env.CAPLENA_BASE_URL || 'https://app.caplena.com',
+    // Use this project instead of looking one up by name
+    projectId: process.env.CAPLENA_PROJECT_ID || null,
+    // Add missing schema columns to existing projects before uploading
+    autoMigrate: process.env.CAPLENA_AUTO_MIGRATE !== 'false',
+    rowIndex: {
+      path: process.env.CAPLENA_ROW_INDEX_PATH || './data/caplena_row_index.json',
+      ttlHours: parseInt(process.env.CAPLENA_ROW_INDEX_TTL_HOURS || '24', 10),
+    },
+    upload: {
+      // Attempts before a row Caplena keeps failing to process is dead-lettered
+      maxAttempts: parseInt(process.env.UPLOAD_MAX_ATTEMPTS || '3', 10),
+    },
+    tasks: {
+      pollIntervalMs: parseInt(process.env.CAPLENA_TASK_POLL_INTERVAL_MS || '5000', 10),
+      timeoutMs: parseInt(process.env.CAPLENA_TASK_TIMEOUT_MS || '600000', 10),
+    },
   },
   app: {
     nodeEnv: process.env.NODE_ENV || 'development',
     logLevel: process.env.LOG_LEVEL || 'info',
   },
+  retry: {
+    // Values that are not non-negative numbers fall back to the defaults in utils/retry.js
+    maxRetries: parseInt(process.env.API_MAX_RETRIES || '5', 10),
+    baseDelayMs: parseInt(process.env.API_RETRY_BASE_DELAY_MS || '500', 10),
+    maxDelayMs: parseInt(process.env.API_RETRY_MAX_DELAY_MS || '30000', 10),
+    // Maximum number of retries per client within the budget window
+    retryBudget: parseInt(process.env.API_RETRY_BUDGET || '50', 10),
+    budgetWindowMs: parseInt(process.env.API_RETRY_BUDGET_WINDOW_MS || '60000', 10),
+  },
+  transcript: {
+    // 'user' keeps only customer messages; 'dialogue' adds agent and bot replies with speaker labels
+    mode: process.env.TRANSCRIPT_MODE || 'user',
+    // In dialogue mode, send agent/bot text to a separate non-analysed column instead of the main text
+    agentColumn: process.env.TRANSCRIPT_AGENT_COLUMN === 'true',
+  },
+  export: {
+    // Conversation custom attributes exported as extra columns (comma-separated names)
+    customAttributes: (process.env.INTERCOM_CUSTOM_ATTRIBUTES || '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean),
+  },
+  sync: {
+    statePath: process.env.SYNC_STATE_PATH || './data/sync_state.json',
+    // Re-fetch this much before the watermark to catch late-indexed conversations
+    overlapMinutes: parseInt(process.env.SYNC_OVERLAP_MINUTES || '10', 10),
+    // Lookback for the very first run, before any watermark exists
+    initialLookbackHours: parseInt(process.env.SYNC_INITIAL_LOOKBACK_HOURS || '24', 10),
+  },
+  language: {
+    // Detect each transcript's language from its text (otherwise use the browser language)
+    detection: process.env.LANGUAGE_DETECTION !== 'false',
+    fallback: process.env.LANGUAGE_FALLBACK || 'en',
+    // Upload each language to its own Caplena project
+    routing: process.env.LANGUAGE_ROUTING === 'true',
+    // Languages that get their own project (empty = every detected language); others use the fallback project
+    projectLanguages: (process.env.LANGUAGE_PROJECTS || '')
+      .split(',')
+      .map(language => language.trim().toLowerCase())
+      .filter(Boolean),
+    projectNameTemplate: process.env.LANGUAGE_PROJECT_NAME_TEMPLATE || '{name} [{language}]',
+  },
+  webhooks: {
+    // Wait this long after an event so bursts of replies are synced together
+    flushDelaySeconds: parseInt(process.env.WEBHOOK_FLUSH_DELAY_SECONDS || '60', 10),
+    maxBatchSize: parseInt(process.env.WEBHOOK_MAX_BATCH_SIZE || '100', 10),
+  },
+  filters: {
+    stockResponsesPath: process.env.STOCK_RESPONSES_PATH || path.join(__dirname, 'stockResponses.json'),
+  },
+  redaction: {
+    // Replace emails, phone numbers, card numbers etc. with placeholders before export and upload.
+    // Off by default: turning it on changes the text, and so the rows, of every conversation already in Caplena
+    enabled: process.env.PII_REDACTION === 'true',
+    rulesPath: process.env.PII_REDACTION_RULES_PATH || path.join(__dirname, 'piiRedaction.json'),
+    // Include per-run counts of what was redacted in the run statistics
+    reportCounts: process.env.PII_REDACTION_REPORT === 'true',
+  },
+  tagSync: {
+    mappingPath: process.env.TOPIC_TAGS_PATH || path.join(__dirname, 'topicTags.json'),
+    appliedLogPath: process.env.APPLIED_TAGS_PATH || './data/applied_tags.jsonl',
+  },
+  schema: {
+    fieldsPath: process.env.FIELDS_CONFIG_PATH || path.join(__dirname, 'fields.json'),
+  },
   output: {
     csvPath: process.env.CSV_OUTPUT_PATH || './exports/intercom_transcripts.csv',
+    // Field delimiter for the CSV export ("tab" for tab-separated output)
+    csvDelimiter: process.env.CSV_DELIMITER === 'tab' ? '\t' : (process.env.CSV_DELIMITER || ','),
+    // Start new CSV files with a UTF-8 byte order mark so Excel detects the encoding
+    csvBom: process.env.CSV_BOM === 'true',
+    checkpointPath: process.env.CHECKPOINT_PATH || './exports/extraction_checkpoint.json',
+    retryQueuePath: process.env.UPLOAD_RETRY_QUEUE_PATH || './data/upload_retry_queue.jsonl',
+    deadLetterPath: process.env.DEAD_LETTER_PATH || './data/upload_dead_letters.jsonl',
+    // Base path for pull-results; .csv and .jsonl are appended
+    resultsPath: process.env.RESULTS_OUTPUT_PATH || './exports/caplena_results',
   }
 };
 
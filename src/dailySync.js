@@ -1,6 +1,7 @@
 const IntercomService = require('./services/intercom');
 const CaplenaService = require('./services/caplena');
 const CSVExporter = require('./utils/csvExporter');
+const SyncState = require('./utils/syncState');
 const config = require('./config');
 const logger = require('./utils/logger');
 
@@ -9,29 +10,83 @@ class DailySync {
     this.intercomService = new IntercomService();
     this.caplenaService = new CaplenaService();
     this.csvExporter = new CSVExporter(config.output.csvPath);
+    this.syncState = new SyncState(config.sync.statePath);
+    this.runs = Promise.resolve();
   }
 
   /**
-   * Daily sync process - fetch new conversations and upload to Caplena
+   * Run syncs one at a time. Watermark syncs and webhook flushes share the Caplena
+   * row index and retry queue, so running them side by side could upload a row twice.
+   */
+  exclusive(task) {
+    const run = this.runs.then(() => task());
+    this.runs = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Daily sync process - fetch conversations updated since the last successful
+   * sync and upload them to Caplena. The watermark only advances once the
+   * upload has been accepted, so failed or delayed runs leave no gaps.
    */
   async syncNewConversations(projectName = 'MRT - Intercom chats') {
+    return this.exclusive(() => this.runNewConversationSync(projectName));
+  }
+
+  async runNewConversationSync(projectName) {
     try {
       logger.info('Starting daily sync process');
 
-      // Step 1: Get conversations from the last 24 hours
-      const yesterday = new Date();
-      yesterday.setDate(yesterday.getDate() - 1);
-      const startTime = Math.floor(yesterday.getTime() / 1000);
+      // Step 1: Work out the sync window from the persisted watermark
+      const untilTime = Math.floor(Date.now() / 1000);
+      const watermark = await this.syncState.getWatermark();
+      const startTime = watermark !== null
+        ? watermark - config.sync.overlapMinutes * 60
+        : untilTime - config.sync.initialLookbackHours * 60 * 60;
 
-      logger.info(`Fetching conversations since ${new Date(startTime * 1000).toISOString()}`);
-      
-      const conversations = await this.intercomService.getConversationsWithTranscriptsSince(startTime);
+      const window = {
+        since: new Date(startTime * 1000).toISOString(),
+        until: new Date(untilTime * 1000).toISOString()
+      };
+
+      if (watermark === null) {
+        logger.info(`No sync watermark found, looking back ${config.sync.initialLookbackHours} hours`);
+      }
+      logger.info(`Fetching conversations from ${window.since} to ${window.until}`);
       
-      if (!conversations || conversations.length === 0) {
-        logger.info('No new conversations found in the last 24 hours');
+      const fetched = await this.intercomService.getConversationsWithTranscriptsSince(startTime, {
+        untilTimestamp: untilTime
+      });
+      const conversations = fetched.conversations;
+      const failedIds = [...fetched.failedIds];
+
+      // Retry conversations earlier runs could not fetch, unless the window found them again
+      const fetchedIds = new Set(conversations.map(conversation => String(conversation.id)));
+      const pendingIds = (await this.syncState.getPendingConversationIds())
+        .filter(id => !fetchedIds.has(String(id)) && !failedIds.includes(String(id)));
+
+      if (pendingIds.length > 0) {
+        logger.info(`Retrying ${pendingIds.length} conversations that could not be fetched before`);
+        const retried = await this.intercomService.fetchConversationDetails(pendingIds.map(id => ({ id })));
+        conversations.push(...retried.conversations);
+        failedIds.push(...retried.failedIds);
+      }
+
+      // Failed fetches are kept for the next run instead of holding back the watermark
+      if (failedIds.length > 0) {
+        logger.warn(`${failedIds.length} conversations could not be fetched and will be retried next run`, { failedIds });
+      }
+
+      if (conversations.length === 0) {
+        logger.info('No new conversations found since the last sync');
+        await this.syncState.advanceWatermark(untilTime, { ...window, conversationCount: 0 }, {
+          pendingConversationIds: failedIds
+        });
         return {
           success: true,
           message: 'No new conversations found',
+          window,
+          failedFetchIds: failedIds,
           stats: {
             conversationCount: 0,
             totalMessages: 0
@@ -41,62 +96,116 @@ class DailySync {
 
       logger.info(`Found ${conversations.length} new conversations`);
 
-      // Step 2: Extract transcript data and filter for user messages
-      logger.info('Extracting transcript data from new conversations...');
-      const transcripts = conversations
-        .map(conversation => this.intercomService.extractTranscriptData(conversation))
-        .filter(transcript => transcript !== null);
+      // Step 2: Upload, then move the watermark only if Caplena accepted it
+      const result = await this.uploadConversationTranscripts(conversations, projectName);
 
-      logger.info(`Extracted ${transcripts.length} valid transcripts with user messages`);
-
-      if (transcripts.length === 0) {
-        logger.info('No valid transcripts with user messages found');
-        return {
-          success: true,
-          message: 'No valid transcripts with user messages found',
-          stats: {
-            conversationCount: 0,
-            totalMessages: 0
-          }
-        };
+      if (result.success) {
+        await this.syncState.advanceWatermark(untilTime, {
+          ...window,
+          conversationCount: result.stats.conversationCount
+        }, { pendingConversationIds: failedIds });
+      } else {
+        logger.warn('Sync did not complete, keeping the previous watermark');
       }
 
-      // Step 3: Ensure Caplena project exists
-      logger.info(`Ensuring Caplena project exists: ${projectName}`);
-      const project = await this.caplenaService.ensureProjectExists(projectName, 'Intercom conversations export');
-      
-      if (!project) {
-        logger.error(`Failed to create or find project: ${projectName}`);
-        return {
-          success: false,
-          error: `Failed to create or find project: ${projectName}`
-        };
-      }
+      return { ...result, window, failedFetchIds: failedIds };
 
-      // Step 4: Upload new conversations to Caplena
-      logger.info('Uploading new conversations to Caplena...');
-      const uploadResult = await this.caplenaService.uploadConversations(project.id, transcripts);
+    } catch (error) {
+      logger.error('Daily sync process failed', { error: error.message });
+      throw error;
+    }
+  }
 
-      // Step 5: Log statistics
-      const stats = {
-        conversationCount: transcripts.length,
-        totalMessages: transcripts.reduce((sum, t) => sum + (t.messages?.length || 0), 0)
-      };
+  /**
+   * Sync specific conversations by ID (used for webhook-driven ingestion)
+   */
+  async syncConversationIds(conversationIds, projectName = 'MRT - Intercom chats') {
+    return this.exclusive(() => this.runConversationIdSync(conversationIds, projectName));
+  }
+
+  async runConversationIdSync(conversationIds, projectName) {
+    try {
+      logger.info(`Syncing ${conversationIds.length} conversations by ID`);
+
+      // Conversations that fail to load here are picked up by the next watermark sync
+      const { conversations } = await this.intercomService.fetchConversationDetails(
+        conversationIds.map(id => ({ id }))
+      );
+
+      return await this.uploadConversationTranscripts(conversations, projectName);
+
+    } catch (error) {
+      logger.error('Conversation sync by ID failed', { conversationIds, error: error.message });
+      throw error;
+    }
+  }
 
-      logger.info('Daily sync process completed successfully', { ...stats, uploadResult });
+  /**
+   * Extract transcripts from full conversations and upload them to Caplena
+   */
+  async uploadConversationTranscripts(conversations, projectName) {
+    // Step 1: Extract transcript data and filter for user messages
+    logger.info('Extracting transcript data from new conversations...');
+    this.intercomService.resetRedactionStats();
+    const transcripts = conversations
+      .map(conversation => this.intercomService.extractTranscriptData(conversation))
+      .filter(transcript => transcript !== null);
 
+    logger.info(`Extracted ${transcripts.length} valid transcripts with user messages`);
+
+    if (transcripts.length === 0) {
+      logger.info('No valid transcripts with user messages found');
       return {
         success: true,
-        message: `Successfully synced ${transcripts.length} new conversations`,
+        message: 'No valid transcripts with user messages found',
+        stats: {
+          conversationCount: 0,
+          totalMessages: 0
+        }
+      };
+    }
+
+    // Step 2: Upload new conversations to the Caplena project for their language
+    logger.info(`Uploading new conversations to Caplena project: ${projectName}`);
+    const uploadResult = await this.caplenaService.uploadToLanguageProjects(
+      projectName,
+      transcripts,
+      'Intercom conversations export'
+    );
+    const projects = uploadResult.projects;
+    const project = projects.find(candidate => candidate.name === projectName) || projects[0];
+
+    // Step 3: Log statistics
+    const stats = {
+      conversationCount: transcripts.length,
+      totalMessages: transcripts.reduce((sum, t) => sum + (t.messages?.length || 0), 0),
+      contactCache: this.intercomService.contactCache.getStats(),
+      redaction: this.intercomService.getRedactionStats()
+    };
+
+    // Rows Caplena failed to process are queued for retry, but the sync is not done
+    if (uploadResult.failedCount > 0) {
+      logger.warn('Sync finished with rows Caplena failed to process', { ...stats, uploadResult });
+      return {
+        success: false,
+        error: `Caplena failed to process ${uploadResult.failedCount} rows (queued for retry)`,
         stats,
         uploadResult,
-        project
+        project,
+        projects
       };
-
-    } catch (error) {
-      logger.error('Daily sync process failed', { error: error.message });
-      throw error;
     }
+
+    logger.info('Sync completed successfully', { ...stats, uploadResult });
+
+    return {
+      success: true,
+      message: `Successfully synced ${transcripts.length} new conversations`,
+      stats,
+      uploadResult,
+      project,
+      projects
+    };
   }
 
   /**
@@ -112,7 +221,7 @@ class DailySync {
 
       logger.info(`Fetching conversations since ${new Date(startTime * 1000).toISOString()}`);
       
-      const conversations = await this.intercomService.getConversationsWithTranscriptsSince(startTime);
+      const { conversations } = await this.intercomService.getConversationsWithTranscriptsSince(startTime);
       
       if (!conversations || conversations.length === 0) {
         logger.info(`No conversations found in the last ${hoursBack} hours`);
@@ -129,6 +238,7 @@ class DailySync {
       logger.info(`Found ${conversations.length} conversations in test period`);
 
       // Extract and filter transcripts
+      this.intercomService.resetRedactionStats();
       const transcripts = conversations
         .map(conversation => this.intercomService.extractTranscriptData(conversation))
         .filter(transcript => transcript !== null);
@@ -140,7 +250,9 @@ class DailySync {
         message: `Test completed - found ${transcripts.length} valid transcripts`,
         stats: {
           conversationCount: transcripts.length,
-          totalMessages: transcripts.reduce((sum, t) => sum + (t.messages?.length || 0), 0)
+          totalMessages: transcripts.reduce((sum, t) => sum + (t.messages?.length || 0), 0),
+          contactCache: this.intercomService.contactCache.getStats(),
+          redaction: this.intercomService.getRedactionStats()
         },
         transcripts: transcripts.slice(0, 3) // Return first 3 for inspection
       };
@@ -0,0 +1,51 @@
+jest.mock('./config', () => ({
+  output: { csvPath: './exports/test.csv' },
+  sync: { statePath: './data/test_sync_state.json' }
+}));
+jest.mock('./utils/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('./services/intercom');
+jest.mock('./services/caplena');
+jest.mock('./utils/csvExporter');
+jest.mock('./utils/syncState');
+
+const DailySync = require('./dailySync');
+
+describe('DailySync', () => {
+  test('runs watermark syncs and webhook syncs one at a time', async () => {
+    const dailySync = new DailySync();
+    const events = [];
+    let finishFirst;
+
+    jest.spyOn(dailySync, 'runNewConversationSync').mockImplementation(async () => {
+      events.push('watermark:start');
+      await new Promise(resolve => {
+        finishFirst = resolve;
+      });
+      events.push('watermark:end');
+      return { success: true };
+    });
+    jest.spyOn(dailySync, 'runConversationIdSync').mockImplementation(async (conversationIds) => {
+      events.push(`ids:${conversationIds.join(',')}`);
+      return { success: true };
+    });
+
+    const watermarkSync = dailySync.syncNewConversations();
+    const idSync = dailySync.syncConversationIds(['1', '2']);
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(events).toEqual(['watermark:start']);
+
+    finishFirst();
+    await Promise.all([watermarkSync, idSync]);
+    expect(events).toEqual(['watermark:start', 'watermark:end', 'ids:1,2']);
+  });
+
+  test('keeps running later syncs after one fails', async () => {
+    const dailySync = new DailySync();
+    jest.spyOn(dailySync, 'runNewConversationSync').mockRejectedValue(new Error('Intercom is down'));
+    jest.spyOn(dailySync, 'runConversationIdSync').mockResolvedValue({ success: true });
+
+    await expect(dailySync.syncNewConversations()).rejects.toThrow('Intercom is down');
+    await expect(dailySync.syncConversationIds(['1'])).resolves.toEqual({ success: true });
+  });
+});
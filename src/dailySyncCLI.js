@@ -1,6 +1,7 @@
 require('dotenv').config();
 const DailySync = require('./dailySync');
 const logger = require('./utils/logger');
+const { formatRedactionStats } = require('./utils/piiRedactor');
 
 async function main() {
   const dailySync = new DailySync();
@@ -22,6 +23,12 @@ async function main() {
         console.log(`📊 Statistics:`);
         console.log(`   - Conversations: ${result.stats.conversationCount}`);
         console.log(`   - Total Messages: ${result.stats.totalMessages}`);
+        if (result.stats.contactCache) {
+          console.log(`   - Contact Cache: ${result.stats.contactCache.hits}/${result.stats.contactCache.lookups} hits (${result.stats.contactCache.hitRate}%)`);
+        }
+        if (result.stats.redaction) {
+          console.log(`   - PII Redacted: ${formatRedactionStats(result.stats.redaction)}`);
+        }
         console.log(`   - Message: ${result.message}`);
         
         if (result.transcripts && result.transcripts.length > 0) {
@@ -39,20 +46,48 @@ async function main() {
       
       if (result.success) {
         console.log('✅ Daily sync completed successfully!');
+        if (result.window) {
+          console.log(`🕒 Window: ${result.window.since} → ${result.window.until}`);
+        }
+        if (result.failedFetchIds?.length > 0) {
+          console.log(`⚠️  ${result.failedFetchIds.length} conversations could not be fetched and will be retried next run`);
+        }
         console.log(`📊 Statistics:`);
         console.log(`   - Conversations: ${result.stats.conversationCount}`);
         console.log(`   - Total Messages: ${result.stats.totalMessages}`);
+        if (result.stats.contactCache) {
+          console.log(`   - Contact Cache: ${result.stats.contactCache.hits}/${result.stats.contactCache.lookups} hits (${result.stats.contactCache.hitRate}%)`);
+        }
+        if (result.stats.redaction) {
+          console.log(`   - PII Redacted: ${formatRedactionStats(result.stats.redaction)}`);
+        }
         console.log(`   - Message: ${result.message}`);
         
         if (result.uploadResult) {
           console.log(`📤 Caplena Upload:`);
-          console.log(`   - Project: ${result.project?.name || 'MRT - Intercom chats'}`);
-          console.log(`   - Project ID: ${result.project?.id || 'N/A'}`);
-          console.log(`   - Uploaded: ${result.uploadResult.uploadedCount} conversations`);
+          if (result.projects?.length > 1) {
+            result.projects.forEach(project => {
+              console.log(`   - Project: ${project.name} (ID: ${project.id}, ${project.language}): ${project.insertedCount} inserted`);
+            });
+          } else {
+            console.log(`   - Project: ${result.project?.name || 'MRT - Intercom chats'}`);
+            console.log(`   - Project ID: ${result.project?.id || 'N/A'}`);
+          }
+          console.log(`   - Inserted: ${result.uploadResult.insertedCount || 0} conversations`);
+          console.log(`   - Skipped (already in Caplena): ${result.uploadResult.skippedCount || 0}`);
+          console.log(`   - Updated: ${result.uploadResult.updatedCount || 0}`);
+          if (result.uploadResult.rejectedCount > 0) {
+            console.log(`   - Rejected (see npm run dead-letters): ${result.uploadResult.rejectedCount}`);
+          }
           console.log(`   - Batches: ${result.uploadResult.batchCount}`);
         }
       } else {
         console.log('❌ Daily sync failed:', result.error);
+        if (result.uploadResult?.batches) {
+          result.uploadResult.batches
+            .filter(batch => batch.status !== 'done')
+            .forEach(batch => console.log(`   - Batch ${batch.batch} (task ${batch.taskId}): ${batch.status}, ${batch.failedCount} failed rows`));
+        }
         process.exit(1);
       }
     }
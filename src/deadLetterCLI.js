@@ -0,0 +1,118 @@
+require('dotenv').config();
+const CaplenaService = require('./services/caplena');
+const logger = require('./utils/logger');
+
+class DeadLetterCLI {
+  constructor() {
+    this.caplenaService = new CaplenaService();
+  }
+
+  /**
+   * IDs of the projects to limit to: the one given by ID, or a project by name
+   * together with its language projects. Null means every project.
+   */
+  async resolveProjectIds({ projectId = null, projectName = null } = {}) {
+    if (projectId) {
+      return [projectId];
+    }
+    if (!projectName) {
+      return null;
+    }
+
+    const projects = await this.caplenaService.findRoutedProjects(projectName);
+    if (projects.length === 0) {
+      throw new Error(`Project not found: ${projectName}`);
+    }
+    return projects.map(({ project }) => project.id);
+  }
+
+  /**
+   * List the rows Caplena rejected, grouped by project
+   */
+  async list(projectIds = null) {
+    try {
+      console.log('📋 Reading dead-lettered rows...');
+      const records = (await this.caplenaService.deadLetterQueue.readAll())
+        .filter(record => !projectIds || projectIds.includes(record.projectId));
+
+      if (records.length === 0) {
+        console.log('✅ No dead-lettered rows');
+        return { count: 0 };
+      }
+
+      console.log(`\n📊 ${records.length} dead-lettered rows:`);
+      records.forEach((record, index) => {
+        const status = record.error?.status ? ` [${record.error.status}]` : '';
+        console.log(`   ${index + 1}. Project ${record.projectId}, conversation ${record.conversationId}${status}`);
+        console.log(`      Error: ${record.error?.message || 'unknown'}`);
+        console.log(`      Failed at: ${record.failedAt}`);
+      });
+
+      console.log('\n💡 Run with --resubmit to send them to Caplena again');
+      return { count: records.length };
+
+    } catch (error) {
+      console.error('❌ Failed to read dead letters:', error.message);
+      logger.error('Failed to read dead letters', { error: error.message });
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Send dead-lettered rows to Caplena again
+   */
+  async resubmit(projectIds = null) {
+    try {
+      console.log('📤 Re-submitting dead-lettered rows to Caplena...');
+      const result = await this.caplenaService.resubmitDeadLetters(projectIds);
+
+      if (result.resubmittedCount === 0) {
+        console.log('✅ No dead-lettered rows to re-submit');
+        return result;
+      }
+
+      const sum = (key) => result.results.reduce((total, projectResult) => total + (projectResult[key] || 0), 0);
+
+      console.log('\n📊 Re-submit Results:');
+      console.log(`   - Re-submitted: ${result.resubmittedCount}`);
+      console.log(`   - Inserted: ${sum('insertedCount')}`);
+      console.log(`   - Updated: ${sum('updatedCount')}`);
+      console.log(`   - Skipped (already in Caplena): ${sum('skippedCount')}`);
+      console.log(`   - Failed (queued for retry): ${sum('failedCount')}`);
+      console.log(`   - Rejected again: ${sum('rejectedCount')}`);
+
+      logger.info('Dead letter re-submit completed', { resubmittedCount: result.resubmittedCount });
+      return result;
+
+    } catch (error) {
+      console.error('❌ Re-submit failed:', error.message);
+      logger.error('Dead letter re-submit failed', { error: error.message });
+      process.exit(1);
+    }
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const projectId = args.find(arg => arg.startsWith('--project-id='))?.split('=')[1] || null;
+  const projectName = args.find(arg => arg.startsWith('--project='))?.split('=')[1] || null;
+
+  const cli = new DeadLetterCLI();
+  const projectIds = await cli.resolveProjectIds({ projectId, projectName });
+
+  if (args.includes('--resubmit')) {
+    await cli.resubmit(projectIds);
+  } else {
+    await cli.list(projectIds);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ CLI failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = DeadLetterCLI;
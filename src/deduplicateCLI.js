@@ -16,7 +16,7 @@ class DeduplicateCLI {
 
       // Step 1: Find the project
       console.log(`📋 Finding project: ${projectName}`);
-      const project = await this.caplenaService.findProjectByName(projectName);
+      const project = await this.caplenaService.findProject(projectName);
       
       if (!project) {
         console.error(`❌ Project not found: ${projectName}`);
@@ -30,6 +30,11 @@ class DeduplicateCLI {
       console.log('🔍 Analyzing rows for duplicates...');
       const result = await this.rowManager.deduplicateProject(project.id);
 
+      // Deleted rows may still be referenced by the cached row index
+      if (result.deleted > 0) {
+        await this.caplenaService.rowIndex.invalidate(project.id);
+      }
+
       // Step 3: Display results
       console.log('\n📊 Deduplication Results:');
       console.log(`   - Total Rows: ${result.totalRows}`);
@@ -67,7 +72,7 @@ class DeduplicateCLI {
 
       // Step 1: Find the project
       console.log(`📋 Finding project: ${projectName}`);
-      const project = await this.caplenaService.findProjectByName(projectName);
+      const project = await this.caplenaService.findProject(projectName);
       
       if (!project) {
         console.error(`❌ Project not found: ${projectName}`);
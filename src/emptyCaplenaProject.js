@@ -16,7 +16,7 @@ class EmptyCaplenaProject {
 
       // Step 1: Find the project
       console.log(`📋 Finding project: ${projectName}`);
-      const project = await this.caplenaService.findProjectByName(projectName);
+      const project = await this.caplenaService.findProject(projectName);
       
       if (!project) {
         console.error(`❌ Project not found: ${projectName}`);
@@ -31,6 +31,7 @@ class EmptyCaplenaProject {
       const allRows = await this.rowManager.getAllRows(project.id);
       
       if (allRows.length === 0) {
+        await this.caplenaService.rowIndex.invalidate(project.id);
         console.log('✅ Project is already empty');
         return;
       }
@@ -41,6 +42,9 @@ class EmptyCaplenaProject {
       console.log('🗑️  Deleting all rows...');
       const results = await this.rowManager.deleteAllRows(project.id, allRows);
 
+      // The cached row index no longer reflects the project
+      await this.caplenaService.rowIndex.invalidate(project.id);
+
       // Step 4: Display results
       console.log('\n📊 Cleanup Results:');
       console.log(`   - Total Rows: ${allRows.length}`);
@@ -3,6 +3,8 @@ const CaplenaService = require('./services/caplena');
 const CSVExporter = require('./utils/csvExporter');
 const config = require('./config');
 const logger = require('./utils/logger');
+const { getFieldSchema } = require('./utils/fieldSchema');
+const { formatRedactionStats } = require('./utils/piiRedactor');
 
 class IntercomTranscriptExtractor {
   constructor() {
@@ -12,63 +14,82 @@ class IntercomTranscriptExtractor {
   }
 
   /**
-   * Main extraction and upload process
+   * Main extraction and upload process. Each page is written to CSV and
+   * uploaded before the checkpoint moves on, so `resume` continues an
+   * interrupted run without duplicating rows.
    */
-  async extractAndUpload(projectName = 'MRT - Intercom chats') {
-    try {
-      logger.info('Starting Intercom transcript extraction and Caplena upload process');
-
-      // Step 1: Fetch all conversations with transcripts
-      logger.info('Fetching conversations from Intercom...');
-      const conversations = await this.intercomService.getAllConversationsWithTranscripts();
-      
-      if (!conversations || conversations.length === 0) {
-        logger.warn('No conversations found');
-        return;
-      }
-
-      logger.info(`Found ${conversations.length} conversations`);
-
-      // Step 2: Extract transcript data from conversations
-      logger.info('Extracting transcript data...');
-      const transcripts = conversations
-        .map(conversation => this.intercomService.extractTranscriptData(conversation))
-        .filter(transcript => transcript !== null);
-
-      logger.info(`Extracted ${transcripts.length} valid transcripts`);
+  async extractAndUpload(projectName = 'MRT - Intercom chats', options = {}) {
+    const { resume = false } = options;
 
-      // Step 3: Export to CSV
-      logger.info('Exporting transcripts to CSV...');
-      const outputPath = await this.csvExporter.exportToCSV(transcripts);
+    try {
+      logger.info('Starting Intercom transcript extraction and Caplena upload process', { resume });
+      this.intercomService.resetRedactionStats();
 
-      // Step 4: Ensure Caplena project exists (create if needed)
+      // Step 1: Ensure the base Caplena project exists (create if needed). Projects
+      // for other languages are created as their first transcripts come in.
       logger.info(`Ensuring Caplena project exists: ${projectName}`);
-      const project = await this.caplenaService.ensureProjectExists(projectName, 'Intercom conversations export');
+      const project = await this.caplenaService.ensureRoutedProject(
+        this.caplenaService.getProjectRoute(projectName, null),
+        'Intercom conversations export'
+      );
       
       if (!project) {
         logger.error(`Failed to create or find project: ${projectName}`);
         return {
           success: false,
-          error: `Failed to create or find project: ${projectName}`,
-          outputPath,
-          stats: this.csvExporter.getExportStats(transcripts)
+          error: `Failed to create or find project: ${projectName}`
         };
       }
 
-      // Step 5: Upload to Caplena
-      logger.info('Uploading conversations to Caplena...');
-      const uploadResult = await this.caplenaService.uploadConversations(project.id, transcripts);
+      // Step 2: Start a fresh CSV unless we are continuing a previous run
+      if (!resume) {
+        await this.csvExporter.resetCSV();
+      }
+
+      // Step 3: Fetch conversations page by page, uploading and saving each page
+      logger.info('Fetching conversations from Intercom...');
+      const transcripts = [];
+      const uploadResults = [];
+
+      await this.intercomService.getAllConversationsWithTranscripts(null, this.csvExporter, {
+        resume,
+        onPage: async (pageTranscripts) => {
+          logger.info(`Uploading ${pageTranscripts.length} transcripts to Caplena...`);
+          const pageResult = await this.caplenaService.uploadToLanguageProjects(projectName, pageTranscripts);
+          uploadResults.push(pageResult);
+          transcripts.push(...pageTranscripts);
+        }
+      });
+
+      const uploadResult = {
+        success: uploadResults.every(result => !(result.failedCount > 0)),
+        uploadedCount: uploadResults.reduce((sum, result) => sum + (result.uploadedCount || 0), 0),
+        insertedCount: uploadResults.reduce((sum, result) => sum + (result.insertedCount || 0), 0),
+        skippedCount: uploadResults.reduce((sum, result) => sum + (result.skippedCount || 0), 0),
+        updatedCount: uploadResults.reduce((sum, result) => sum + (result.updatedCount || 0), 0),
+        failedCount: uploadResults.reduce((sum, result) => sum + (result.failedCount || 0), 0),
+        rejectedCount: uploadResults.reduce((sum, result) => sum + (result.rejectedCount || 0), 0),
+        projectId: project.id,
+        batchCount: uploadResults.reduce((sum, result) => sum + (result.batchCount || 0), 0),
+        projects: this.combineProjectCounts(uploadResults),
+        uploadResults
+      };
 
-      // Step 6: Log statistics
-      const stats = this.csvExporter.getExportStats(transcripts);
+      // Step 4: Log statistics
+      const stats = {
+        ...this.csvExporter.getExportStats(transcripts),
+        contactCache: this.intercomService.contactCache.getStats(),
+        redaction: this.intercomService.getRedactionStats()
+      };
       logger.info('Extraction and upload process completed successfully', { ...stats, uploadResult });
 
       return {
         success: true,
-        outputPath,
+        outputPath: this.csvExporter.outputPath,
         stats,
         uploadResult,
-        project
+        project,
+        projects: uploadResult.projects
       };
 
     } catch (error) {
@@ -80,13 +101,16 @@ class IntercomTranscriptExtractor {
   /**
    * Main extraction process (CSV export only)
    */
-  async extractAndExport() {
+  async extractAndExport(options = {}) {
+    const { resume = false } = options;
+
     try {
-      logger.info('Starting Intercom transcript extraction process');
+      logger.info('Starting Intercom transcript extraction process', { resume });
+      this.intercomService.resetRedactionStats();
 
       // Step 1: Fetch all conversations with transcripts and save incrementally
       logger.info('Fetching conversations from Intercom...');
-      const conversations = await this.intercomService.getAllConversationsWithTranscripts(null, this.csvExporter);
+      const conversations = await this.intercomService.getAllConversationsWithTranscripts(null, this.csvExporter, { resume });
       
       if (!conversations || conversations.length === 0) {
         logger.warn('No conversations found');
@@ -97,7 +121,11 @@ class IntercomTranscriptExtractor {
       console.log(`📋 Found ${conversations.length} conversations with user messages`);
 
       // Step 2: Log statistics (data already saved incrementally)
-      const stats = this.csvExporter.getExportStats(conversations);
+      const stats = {
+        ...this.csvExporter.getExportStats(conversations),
+        contactCache: this.intercomService.contactCache.getStats(),
+        redaction: this.intercomService.getRedactionStats()
+      };
       logger.info('Extraction process completed successfully', stats);
 
       return {
@@ -130,6 +158,21 @@ class IntercomTranscriptExtractor {
     }
   }
 
+  /**
+   * Inserted rows per Caplena project across every page of a run
+   */
+  combineProjectCounts(uploadResults) {
+    const projects = new Map();
+    uploadResults.forEach(result => (result.projects || []).forEach(project => {
+      const existing = projects.get(project.id);
+      projects.set(project.id, {
+        ...project,
+        insertedCount: (existing?.insertedCount || 0) + project.insertedCount
+      });
+    }));
+    return Array.from(projects.values());
+  }
+
   /**
    * Upload existing CSV data to Caplena (without fetching from Intercom)
    */
@@ -153,37 +196,18 @@ class IntercomTranscriptExtractor {
 
       // Step 2: Transform CSV data to conversation format
       logger.info('Transforming CSV data for Caplena...');
-      const conversations = csvData.map(row => ({
-        conversationId: row.conversation_id,
-        createdAt: row.created_at,
-        updatedAt: row.updated_at,
-        subject: row.subject || '',
-        messages: [
-          {
-            id: row.message_id,
-            body: row.message_body,
-            author: { type: row.author_type }
-          }
-        ]
-      }));
+      const conversations = getFieldSchema().transcriptsFromCsvRecords(csvData);
 
       logger.info(`Transformed ${conversations.length} conversations`);
 
-      // Step 3: Ensure Caplena project exists
-      logger.info(`Ensuring Caplena project exists: ${projectName}`);
-      const project = await this.caplenaService.ensureProjectExists(projectName, 'Intercom conversations export');
-      
-      if (!project) {
-        logger.error(`Failed to create or find project: ${projectName}`);
-        return {
-          success: false,
-          error: `Failed to create or find project: ${projectName}`
-        };
-      }
-
-      // Step 4: Upload to Caplena
-      logger.info('Uploading conversations to Caplena...');
-      const uploadResult = await this.caplenaService.uploadConversations(project.id, conversations);
+      // Step 3: Upload to the Caplena project for each conversation's language
+      logger.info(`Uploading conversations to Caplena project: ${projectName}`);
+      const uploadResult = await this.caplenaService.uploadToLanguageProjects(
+        projectName,
+        conversations,
+        'Intercom conversations export'
+      );
+      const project = uploadResult.projects.find(candidate => candidate.name === projectName) || uploadResult.projects[0];
 
       logger.info('Caplena upload process completed successfully', { uploadResult });
 
@@ -191,9 +215,10 @@ class IntercomTranscriptExtractor {
         success: true,
         uploadResult,
         project,
+        projects: uploadResult.projects,
         stats: {
           conversationCount: conversations.length,
-          totalMessages: conversations.length
+          totalMessages: csvData.length
         }
       };
 
@@ -207,6 +232,7 @@ class IntercomTranscriptExtractor {
 // Main execution
 async function main() {
   const extractor = new IntercomTranscriptExtractor();
+  const resume = process.argv.slice(2).includes('--resume');
 
   try {
     // Test Caplena connection
@@ -226,8 +252,12 @@ async function main() {
     }
 
     // Fetch fresh data from Intercom and upload to Caplena
-    console.log('🔄 Fetching fresh data from Intercom and uploading to Caplena...');
-    const result = await extractor.extractAndUpload();
+    if (resume) {
+      console.log('⏩ Resuming the previous extraction from its last checkpoint...');
+    } else {
+      console.log('🔄 Fetching fresh data from Intercom and uploading to Caplena...');
+    }
+    const result = await extractor.extractAndUpload('MRT - Intercom chats', { resume });
     
     if (result.success) {
       logger.info('✅ Fresh data extraction and Caplena upload completed successfully!', result.stats);
@@ -235,10 +265,28 @@ async function main() {
       console.log(`📊 Statistics:`);
       console.log(`   - Conversations: ${result.stats.conversationCount}`);
       console.log(`   - Total Messages: ${result.stats.totalMessages}`);
+      console.log(`   - Contact Cache: ${result.stats.contactCache.hits}/${result.stats.contactCache.lookups} hits (${result.stats.contactCache.hitRate}%)`);
+      if (result.stats.redaction) {
+        console.log(`   - PII Redacted: ${formatRedactionStats(result.stats.redaction)}`);
+      }
       console.log(`📤 Caplena Upload:`);
-      console.log(`   - Project: ${result.project?.name || 'MRT - Intercom chats'}`);
-      console.log(`   - Project ID: ${result.project?.id || 'N/A'}`);
-      console.log(`   - Uploaded: ${result.uploadResult.uploadedCount} conversations`);
+      if (result.projects?.length > 1) {
+        result.projects.forEach(project => {
+          console.log(`   - Project: ${project.name} (ID: ${project.id}, ${project.language}): ${project.insertedCount} inserted`);
+        });
+      } else {
+        console.log(`   - Project: ${result.project?.name || 'MRT - Intercom chats'}`);
+        console.log(`   - Project ID: ${result.project?.id || 'N/A'}`);
+      }
+      console.log(`   - Inserted: ${result.uploadResult.insertedCount} conversations`);
+      console.log(`   - Skipped (already in Caplena): ${result.uploadResult.skippedCount}`);
+      console.log(`   - Updated: ${result.uploadResult.updatedCount}`);
+      if (result.uploadResult.failedCount > 0) {
+        console.log(`   - Failed (queued for retry): ${result.uploadResult.failedCount}`);
+      }
+      if (result.uploadResult.rejectedCount > 0) {
+        console.log(`   - Rejected (see npm run dead-letters): ${result.uploadResult.rejectedCount}`);
+      }
       console.log(`   - Batches: ${result.uploadResult.batchCount}`);
       console.log(`📁 CSV Export:`);
       console.log(`   - File: ${result.outputPath}`);
@@ -0,0 +1,110 @@
+require('dotenv').config();
+const CaplenaService = require('./services/caplena');
+const logger = require('./utils/logger');
+
+class MigrateCLI {
+  constructor() {
+    this.caplenaService = new CaplenaService();
+  }
+
+  /**
+   * Print a project's schema drift
+   */
+  printDiff(diff) {
+    if (diff.missing.length === 0 && diff.typeMismatches.length === 0 && diff.extra.length === 0) {
+      console.log('   (no differences)');
+      return;
+    }
+
+    diff.missing.forEach(column => {
+      console.log(`   + ${column.name} (${column.type}) - missing, will be added`);
+    });
+    diff.typeMismatches.forEach(({ name, expected, actual }) => {
+      console.log(`   ~ ${name}: ${actual} → ${expected} - cannot be changed through the API`);
+    });
+    diff.extra.forEach(name => {
+      console.log(`   - ${name} - not in the field schema, left as is`);
+    });
+  }
+
+  /**
+   * Show one project's schema drift and, unless this is a dry run, add the missing columns
+   */
+  async migrateProject(project, { dryRun = false } = {}) {
+    console.log(`\n✅ Found project: ${project.name} (ID: ${project.id})`);
+
+    // Step 2: Show the diff
+    const { diff } = await this.caplenaService.migrateProjectSchema(project.id, { dryRun: true });
+    console.log('\n📊 Schema diff:');
+    this.printDiff(diff);
+
+    const hasDrift = diff.missing.length > 0 || diff.typeMismatches.length > 0;
+
+    if (!hasDrift) {
+      console.log('\n✅ Project schema is up to date');
+      return { diff, migrated: false };
+    }
+
+    if (dryRun) {
+      console.log('\n💡 Run without --dry-run to add the missing columns');
+      return { diff, migrated: false };
+    }
+
+    // Step 3: Apply the migration
+    console.log('\n🛠️  Adding missing columns...');
+    const result = await this.caplenaService.migrateProjectSchema(project.id);
+    console.log(`✅ Added ${result.diff.missing.length} columns`);
+
+    logger.info('Schema migration completed', { projectId: project.id, added: result.diff.missing.length });
+    return result;
+  }
+
+  async run(projectName = 'MRT - Intercom chats', { dryRun = false } = {}) {
+    try {
+      console.log(dryRun
+        ? '🔍 Starting DRY RUN - comparing project columns with the field schema...'
+        : '🛠️  Starting Caplena project schema migration...');
+      logger.info('Starting schema migration', { projectName, dryRun });
+
+      // Step 1: Find the project, and its language projects when uploads are routed by language
+      console.log(`📋 Finding project: ${projectName}`);
+      const projects = (await this.caplenaService.findRoutedProjects(projectName)).map(({ project }) => project);
+
+      if (projects.length === 0) {
+        console.error(`❌ Project not found: ${projectName}`);
+        logger.error('Project not found', { projectName });
+        process.exit(1);
+      }
+
+      const results = [];
+      for (const project of projects) {
+        results.push(await this.migrateProject(project, { dryRun }));
+      }
+      return results;
+
+    } catch (error) {
+      console.error('❌ Migration failed:', error.message);
+      logger.error('Schema migration failed', { error: error.message });
+      process.exit(1);
+    }
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const projectName = args.find(arg => arg.startsWith('--project='))?.split('=')[1] || 'MRT - Intercom chats';
+  const dryRun = args.includes('--dry-run');
+
+  const cli = new MigrateCLI();
+  await cli.run(projectName, { dryRun });
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ CLI failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = MigrateCLI;
@@ -0,0 +1,182 @@
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const CaplenaService = require('./services/caplena');
+const CSVExporter = require('./utils/csvExporter');
+const { BOM } = require('./utils/csv');
+const { getFieldSchema } = require('./utils/fieldSchema');
+const config = require('./config');
+const logger = require('./utils/logger');
+
+// Columns added after the conversation metadata, one CSV line per assigned topic
+const CODING_HEADERS = [
+  'caplena_row_id',
+  'text_column',
+  'column_sentiment',
+  'topic_category',
+  'topic_label',
+  'topic_sentiment'
+];
+
+class PullResultsCLI {
+  constructor(outputBase = config.output.resultsPath) {
+    this.caplenaService = new CaplenaService();
+    this.rowManager = this.caplenaService.rowManager;
+    this.csvExporter = new CSVExporter(config.output.csvPath);
+    this.outputBase = outputBase;
+  }
+
+  /**
+   * Conversation transcripts from the local CSV export, by conversation ID
+   */
+  async loadLocalTranscripts() {
+    const records = await this.csvExporter.readExistingCSV();
+    const transcripts = getFieldSchema().transcriptsFromCsvRecords(records);
+    return new Map(transcripts.map(transcript => [String(transcript.conversationId), transcript]));
+  }
+
+  /**
+   * Join a Caplena row's codings with the conversation's metadata. The local export
+   * is preferred; rows without one fall back to the metadata stored in Caplena.
+   */
+  buildResult(row, localTranscripts, project) {
+    const schema = getFieldSchema();
+    const conversationId = String(this.rowManager.extractConversationId(row) || '');
+    const local = localTranscripts.get(conversationId);
+
+    const headers = schema.getConversationCsvHeaders();
+    const values = local
+      ? schema.getConversationCsvValues(local)
+      : schema.getConversationCsvValuesFromRow(row);
+
+    return {
+      conversationId,
+      caplenaProjectId: project.id,
+      caplenaRowId: row.id,
+      matchedLocal: Boolean(local),
+      metadata: Object.fromEntries(headers.map((header, index) => [header, values[index]])),
+      codings: this.rowManager.extractCodings(row)
+    };
+  }
+
+  /**
+   * Long-format CSV records: one per topic, so topics can be pivoted by any metadata column
+   */
+  toCsvRecords(result) {
+    const metadata = Object.values(result.metadata);
+    const lines = [];
+
+    result.codings.forEach(coding => {
+      const topics = coding.topics.length > 0 ? coding.topics : [null];
+      topics.forEach(topic => {
+        lines.push([
+          ...metadata,
+          result.caplenaRowId,
+          coding.ref,
+          coding.sentiment || '',
+          topic?.category || '',
+          topic?.label || '',
+          topic?.sentiment || ''
+        ]);
+      });
+    });
+
+    if (lines.length === 0) {
+      lines.push([...metadata, result.caplenaRowId, '', '', '', '', '']);
+    }
+
+    return lines.map(line => this.csvExporter.encodeRow(line, { quoteAll: true }));
+  }
+
+  async writeOutputs(results) {
+    const csvPath = `${this.outputBase}.csv`;
+    const jsonlPath = `${this.outputBase}.jsonl`;
+    await fs.mkdir(path.dirname(csvPath), { recursive: true });
+
+    const headers = [...getFieldSchema().getConversationCsvHeaders(), ...CODING_HEADERS];
+    const csvRecords = [this.csvExporter.encodeRow(headers), ...results.flatMap(result => this.toCsvRecords(result))];
+    await fs.writeFile(csvPath, (this.csvExporter.bom ? BOM : '') + csvRecords.join(''), 'utf8');
+
+    const jsonLines = results.map(result => JSON.stringify(result));
+    await fs.writeFile(jsonlPath, jsonLines.join('\n') + (jsonLines.length > 0 ? '\n' : ''), 'utf8');
+
+    return { csvPath, jsonlPath };
+  }
+
+  async run(projectName = 'MRT - Intercom chats') {
+    try {
+      console.log('📥 Pulling Caplena results...');
+      logger.info('Starting pull of Caplena results', { projectName });
+
+      // Step 1: Find the project, and its language projects when uploads are routed by language
+      console.log(`📋 Finding project: ${projectName}`);
+      const projects = (await this.caplenaService.findRoutedProjects(projectName)).map(({ project }) => project);
+
+      if (projects.length === 0) {
+        console.error(`❌ Project not found: ${projectName}`);
+        logger.error('Project not found', { projectName });
+        process.exit(1);
+      }
+
+      projects.forEach(project => console.log(`✅ Found project: ${project.name} (ID: ${project.id})`));
+
+      // Step 2: Fetch every row with its codings
+      console.log('🔍 Fetching all rows...');
+      const projectRows = [];
+      for (const project of projects) {
+        const rows = await this.rowManager.getAllRows(project.id);
+        projectRows.push(...rows.map(row => ({ project, row })));
+      }
+      const rows = projectRows.map(({ row }) => row);
+
+      // Step 3: Join with the local transcript export
+      console.log('🔗 Joining with the local transcript export...');
+      const localTranscripts = await this.loadLocalTranscripts();
+      const results = projectRows.map(({ project, row }) => this.buildResult(row, localTranscripts, project));
+
+      // Step 4: Write the enriched outputs
+      const { csvPath, jsonlPath } = await this.writeOutputs(results);
+
+      const matched = results.filter(result => result.matchedLocal).length;
+      const topicCount = results.reduce((sum, result) =>
+        sum + result.codings.reduce((total, coding) => total + coding.topics.length, 0), 0);
+
+      console.log('\n📊 Pull Results:');
+      console.log(`   - Rows: ${rows.length}`);
+      console.log(`   - Matched with local export: ${matched}`);
+      console.log(`   - Metadata from Caplena only: ${results.length - matched}`);
+      console.log(`   - Topics assigned: ${topicCount}`);
+      console.log('📁 Output:');
+      console.log(`   - CSV: ${csvPath}`);
+      console.log(`   - JSONL: ${jsonlPath}`);
+
+      const summary = { rowCount: rows.length, matched, topicCount, csvPath, jsonlPath };
+      logger.info('Pull of Caplena results completed', summary);
+      return summary;
+
+    } catch (error) {
+      console.error('❌ Pull results failed:', error.message);
+      logger.error('Pull results failed', { error: error.message });
+      process.exit(1);
+    }
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const projectName = args.find(arg => arg.startsWith('--project='))?.split('=')[1] || 'MRT - Intercom chats';
+  const outputBase = args.find(arg => arg.startsWith('--output='))?.split('=')[1] || config.output.resultsPath;
+
+  const cli = new PullResultsCLI(outputBase);
+  await cli.run(projectName);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ CLI failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = PullResultsCLI;
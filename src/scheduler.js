@@ -1,11 +1,28 @@
 require('dotenv').config();
 const express = require('express');
 const DailySync = require('./dailySync');
+const ConversationQueue = require('./services/webhookQueue');
+const { verifyIntercomSignature } = require('./utils/webhookSignature');
+const config = require('./config');
 const logger = require('./utils/logger');
 
+// Webhook topics that mean a conversation has new content worth syncing
+const WEBHOOK_TOPICS = [
+  'conversation.user.created',
+  'conversation.user.replied',
+  'conversation.admin.closed'
+];
+
 class Scheduler {
   constructor() {
     this.dailySync = new DailySync();
+    this.webhookQueue = new ConversationQueue(
+      (conversationIds) => this.dailySync.syncConversationIds(conversationIds),
+      {
+        flushDelayMs: config.webhooks.flushDelaySeconds * 1000,
+        maxBatchSize: config.webhooks.maxBatchSize
+      }
+    );
     this.app = express();
     this.setupRoutes();
     this.setupScheduler();
@@ -33,6 +50,46 @@ class Scheduler {
       }
     });
 
+    // Intercom webhook receiver - the raw body is needed to check the signature
+    this.app.post('/webhooks/intercom', express.raw({ type: '*/*', limit: '1mb' }), (req, res) => {
+      if (!config.intercom.clientSecret) {
+        logger.error('Rejecting Intercom webhook: INTERCOM_CLIENT_SECRET is not configured');
+        return res.status(503).json({ error: 'Webhook secret not configured' });
+      }
+
+      if (!verifyIntercomSignature(req.body, req.get('X-Hub-Signature'), config.intercom.clientSecret)) {
+        logger.warn('Rejecting Intercom webhook with invalid signature');
+        return res.status(401).json({ error: 'Invalid signature' });
+      }
+
+      let notification;
+      try {
+        notification = JSON.parse(req.body.toString('utf8'));
+      } catch (error) {
+        logger.warn('Rejecting Intercom webhook with invalid JSON', { error: error.message });
+        return res.status(400).json({ error: 'Invalid JSON' });
+      }
+
+      // Valid JSON such as `null` or a bare string is not a notification
+      if (!notification || typeof notification !== 'object') {
+        logger.warn('Rejecting Intercom webhook that is not a JSON object');
+        return res.status(400).json({ error: 'Invalid payload' });
+      }
+
+      const topic = notification.topic;
+      const conversationId = notification.data?.item?.id;
+
+      // Acknowledge everything else (including pings) so Intercom does not retry
+      if (!WEBHOOK_TOPICS.includes(topic) || !conversationId) {
+        logger.info('Ignoring Intercom webhook', { topic });
+        return res.status(200).json({ received: true, queued: false });
+      }
+
+      logger.info('Received Intercom webhook', { topic, conversationId });
+      this.webhookQueue.enqueue(String(conversationId));
+      res.status(200).json({ received: true, queued: true });
+    });
+
     // Test endpoint
     this.app.get('/test', async (req, res) => {
       try {
@@ -91,6 +148,7 @@ class Scheduler {
       logger.info('  GET /health - Health check');
       logger.info('  GET /sync - Manual sync trigger');
       logger.info('  GET /test?hours=24 - Test sync');
+      logger.info('  POST /webhooks/intercom - Intercom webhook receiver');
     });
   }
 }
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+jest.mock('./config', () => ({
+  intercom: { clientSecret: 'client-secret' },
+  webhooks: { flushDelaySeconds: 60, maxBatchSize: 100 }
+}));
+jest.mock('./utils/logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('./dailySync');
+
+const Scheduler = require('./scheduler');
+
+const sign = (body) => `sha1=${crypto.createHmac('sha1', 'client-secret').update(body).digest('hex')}`;
+
+describe('POST /webhooks/intercom', () => {
+  let scheduler;
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    // No daily timer in tests
+    jest.spyOn(Scheduler.prototype, 'setupScheduler').mockImplementation(() => {});
+    scheduler = new Scheduler();
+    jest.spyOn(scheduler.webhookQueue, 'enqueue').mockImplementation(() => {});
+
+    await new Promise(resolve => {
+      server = scheduler.app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    scheduler.webhookQueue.enqueue.mockClear();
+  });
+
+  const post = (body, signature = sign(body)) => fetch(`${baseUrl}/webhooks/intercom`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Hub-Signature': signature },
+    body
+  });
+
+  test('queues the conversation of a watched topic', async () => {
+    const response = await post(JSON.stringify({ topic: 'conversation.user.replied', data: { item: { id: 123 } } }));
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ received: true, queued: true });
+    expect(scheduler.webhookQueue.enqueue).toHaveBeenCalledWith('123');
+  });
+
+  test('acknowledges but ignores other topics', async () => {
+    const response = await post(JSON.stringify({ topic: 'ping', data: { item: { id: 123 } } }));
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ received: true, queued: false });
+    expect(scheduler.webhookQueue.enqueue).not.toHaveBeenCalled();
+  });
+
+  test('rejects an invalid signature', async () => {
+    const body = JSON.stringify({ topic: 'conversation.user.replied', data: { item: { id: 123 } } });
+    const response = await post(body, sign(`${body} `));
+
+    expect(response.status).toBe(401);
+    expect(scheduler.webhookQueue.enqueue).not.toHaveBeenCalled();
+  });
+
+  test('rejects a body that is not JSON', async () => {
+    const response = await post('not json');
+    expect(response.status).toBe(400);
+  });
+
+  test('rejects JSON that is not an object', async () => {
+    const nullResponse = await post('null');
+    expect(nullResponse.status).toBe(400);
+    expect(await nullResponse.json()).toEqual({ error: 'Invalid payload' });
+
+    const stringResponse = await post('"conversation.user.replied"');
+    expect(stringResponse.status).toBe(400);
+  });
+});
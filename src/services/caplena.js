@@ -1,6 +1,17 @@
 const axios = require('axios');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { attachRetry } = require('../utils/retry');
+const CaplenaRowManager = require('./caplenaRowManager');
+const CaplenaRowIndex = require('./caplenaRowIndex');
+const CaplenaTaskTracker = require('./caplenaTaskTracker');
+const JsonlQueue = require('../utils/jsonlQueue');
+const { CONTENT_HASH_REF, isAnalysedColumn, computeContentHash } = require('../utils/contentHash');
+const { getSpeakerLabel, isCustomerAuthor } = require('../utils/speakerLabels');
+const { getFieldSchema } = require('../utils/fieldSchema');
+
+// Statuses meaning Caplena refused the rows themselves (invalid data, payload too large)
+const REJECTED_ROW_STATUS_CODES = new Set([400, 413, 422]);
 
 class CaplenaService {
   constructor() {
@@ -34,18 +45,59 @@ class CaplenaService {
         return Promise.reject(error);
       }
     );
+
+    // Retry rate-limited and transient failures with backoff
+    attachRetry(this.client, { name: 'Caplena' });
+
+    // Conversations already in each project, so re-runs don't upload them twice
+    this.rowManager = new CaplenaRowManager();
+    this.rowIndex = new CaplenaRowIndex(this.rowManager, {
+      filePath: config.caplena.rowIndex.path,
+      ttlHours: config.caplena.rowIndex.ttlHours
+    });
+
+    // Bulk uploads are processed asynchronously; rows only count once their task succeeds
+    this.taskTracker = new CaplenaTaskTracker(this.client, config.caplena.tasks);
+    this.retryQueue = new JsonlQueue(config.output.retryQueuePath);
+    this.deadLetterQueue = new JsonlQueue(config.output.deadLetterPath);
+
+    // Projects resolved by uploadToLanguageProjects, looked up once per run rather than once per page
+    this.routedProjects = new Map();
+    this.loadedRouteBases = new Set();
   }
 
   /**
-   * Get projects list
+   * Get projects list, following every page
    */
   async getProjects() {
     try {
       logger.info('Fetching Caplena projects...');
-      
-      const response = await this.client.get('/v2/projects');
-      
-      return response.data;
+
+      const projects = [];
+      let page = 1;
+      let hasMore = true;
+
+      while (hasMore) {
+        const response = await this.client.get('/v2/projects', {
+          params: {
+            page: page,
+            limit: 50
+          }
+        });
+
+        const results = response.data.results || response.data; // Handle both response formats
+        projects.push(...results);
+
+        // Check if there are more pages
+        if (response.data.next_url && results.length > 0) {
+          page++;
+        } else {
+          hasMore = false;
+        }
+      }
+
+      logger.info(`Fetched ${projects.length} Caplena projects`);
+      return projects;
     } catch (error) {
       logger.error('Failed to fetch Caplena projects', { error: error.message });
       throw error;
@@ -53,19 +105,25 @@ class CaplenaService {
   }
 
   /**
-   * Find project by name
+   * Find project by name; more than one project with the name is an error
    */
   async findProjectByName(projectName) {
     try {
-      const response = await this.getProjects();
-      const projects = response.results || response; // Handle both response formats
-      const project = projects.find(p => p.name === projectName);
+      const projects = await this.getProjects();
+      const matches = projects.filter(p => p.name === projectName);
       
-      if (!project) {
+      if (matches.length === 0) {
         logger.warn(`Project not found: ${projectName}`);
         return null;
       }
-      
+
+      if (matches.length > 1) {
+        const ids = matches.map(p => p.id).join(', ');
+        throw new Error(`Found ${matches.length} Caplena projects named "${projectName}" (IDs: ${ids}). ` +
+          'Set CAPLENA_PROJECT_ID to choose one.');
+      }
+
+      const project = matches[0];
       logger.info(`Found project: ${projectName} (ID: ${project.id})`);
       return project;
     } catch (error) {
@@ -74,87 +132,142 @@ class CaplenaService {
     }
   }
 
+  /**
+   * Find project by ID, or null if it doesn't exist
+   */
+  async findProjectById(projectId) {
+    try {
+      const project = await this.getProject(projectId);
+      logger.info(`Found project: ${project.name} (ID: ${project.id})`);
+      return project;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        logger.warn(`Project not found: ${projectId}`);
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find the project to work on: by ID when one is configured, otherwise by name
+   */
+  async findProject(projectName, projectId = config.caplena.projectId) {
+    return projectId ? this.findProjectById(projectId) : this.findProjectByName(projectName);
+  }
+
+  /**
+   * Get a single project, including its columns
+   */
+  async getProject(projectId) {
+    try {
+      const response = await this.client.get(`/v2/projects/${projectId}`);
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to fetch Caplena project', { projectId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Columns a project needs: the field schema, plus the hash used to detect
+   * conversations that changed since upload
+   */
+  getExpectedColumns() {
+    return [
+      ...getFieldSchema().getCaplenaColumns(),
+      {
+        name: CONTENT_HASH_REF,
+        type: 'text'
+      }
+    ];
+  }
+
+  /**
+   * Compare a project's columns with the columns the row transform sends
+   */
+  diffProjectSchema(project) {
+    const actual = new Map((project.columns || []).map(column => [column.ref || column.name, column]));
+    const expected = this.getExpectedColumns();
+    const expectedNames = new Set(expected.map(column => column.name));
+
+    return {
+      missing: expected.filter(column => !actual.has(column.name)),
+      typeMismatches: expected
+        .filter(column => actual.has(column.name) && actual.get(column.name).type !== column.type)
+        .map(column => ({ name: column.name, expected: column.type, actual: actual.get(column.name).type })),
+      extra: Array.from(actual.keys()).filter(name => !expectedNames.has(name))
+    };
+  }
+
+  /**
+   * Bring a project's columns in line with the schema. Missing columns are added;
+   * type changes can't be made through the API, so they fail before any upload.
+   */
+  async migrateProjectSchema(projectId, { dryRun = false } = {}) {
+    const project = await this.getProject(projectId);
+    const diff = this.diffProjectSchema(project);
+    const hasDrift = diff.missing.length > 0 || diff.typeMismatches.length > 0;
+
+    if (hasDrift) {
+      logger.warn('Caplena project schema drift detected', {
+        projectId,
+        missing: diff.missing.map(column => column.name),
+        typeMismatches: diff.typeMismatches,
+        extra: diff.extra
+      });
+    }
+
+    if (dryRun || !hasDrift) {
+      return { project, diff, migrated: false };
+    }
+
+    if (diff.typeMismatches.length > 0) {
+      const details = diff.typeMismatches
+        .map(({ name, expected, actual }) => `${name} is ${actual}, expected ${expected}`)
+        .join('; ');
+      throw new Error(`Caplena project ${projectId} has columns with the wrong type (${details}). ` +
+        'Column types cannot be changed through the API; create a new project or change the field schema.');
+    }
+
+    try {
+      // Existing columns are sent back unchanged alongside the new ones
+      const columns = [
+        ...(project.columns || []).map(column => ({ ref: column.ref || column.name, name: column.name, type: column.type })),
+        ...diff.missing.map(column => ({ ref: column.name, name: column.name, type: column.type }))
+      ];
+      const response = await this.client.patch(`/v2/projects/${projectId}`, { columns }, { idempotent: true });
+
+      logger.info('Added missing columns to Caplena project', {
+        projectId,
+        added: diff.missing.map(column => column.name)
+      });
+
+      return { project: response.data, diff, migrated: true };
+    } catch (error) {
+      const missing = diff.missing.map(column => column.name).join(', ');
+      logger.error('Failed to add missing columns to Caplena project', {
+        projectId,
+        error: error.message,
+        response: error.response?.data
+      });
+      throw new Error(`Caplena project ${projectId} is missing columns (${missing}) and they could not be added: ` +
+        `${error.message}. Run "npm run migrate:dry-run" to see the full diff.`);
+    }
+  }
+
   /**
    * Create a new project in Caplena
    */
-  async createProject(projectName, description = '') {
+  async createProject(projectName, description = '', language = config.language.fallback) {
     try {
-      logger.info('Creating new Caplena project', { projectName, description });
+      logger.info('Creating new Caplena project', { projectName, description, language });
       
       const projectData = {
         name: projectName,
         description: description || `Intercom conversations export - ${new Date().toISOString().split('T')[0]}`,
-        language: 'en', // Required field
-        columns: [
-          {
-            name: 'text',
-            type: 'text_to_analyze'
-          },
-          {
-            name: 'conversation_id',
-            type: 'text'
-          },
-          {
-            name: 'created_at',
-            type: 'text'
-          },
-          {
-            name: 'updated_at',
-            type: 'text'
-          },
-          {
-            name: 'subject',
-            type: 'text'
-          },
-          {
-            name: 'source_url',
-            type: 'text'
-          },
-          {
-            name: 'location_city',
-            type: 'text'
-          },
-          {
-            name: 'location_region',
-            type: 'text'
-          },
-          {
-            name: 'location_country',
-            type: 'text'
-          },
-          {
-            name: 'contact_id',
-            type: 'text'
-          },
-          {
-            name: 'browser',
-            type: 'text'
-          },
-          {
-            name: 'browser_version',
-            type: 'text'
-          },
-          {
-            name: 'browser_language',
-            type: 'text'
-          },
-          {
-            name: 'os',
-            type: 'text'
-          },
-          {
-            name: 'referrer',
-            type: 'text'
-          },
-          {
-            name: 'user_message_count',
-            type: 'numerical'
-          },
-          {
-            name: 'total_message_count',
-            type: 'numerical'
-          }
-        ]
+        language, // Required field
+        columns: this.getExpectedColumns()
       };
 
       const response = await this.client.post('/v2/projects', projectData);
@@ -202,22 +315,41 @@ class CaplenaService {
   /**
    * Create project if it doesn't exist, or return existing project
    */
-  async ensureProjectExists(projectName, description = '') {
+  async ensureProjectExists(projectName, description = '', language = config.language.fallback) {
     try {
-      // First try to find existing project
-      const existingProject = await this.findProjectByName(projectName);
+      // First try to find existing project. A configured project ID only applies to
+      // the fallback-language project when uploads are routed by language.
+      const projectId = language === config.language.fallback ? config.caplena.projectId : null;
+      const existingProject = await this.findProject(projectName, projectId);
       
       if (existingProject) {
         logger.info('Using existing project', {
           projectId: existingProject.id,
           projectName: existingProject.name
         });
+
+        // Make sure the project has every column the rows will carry before uploading
+        if (config.caplena.autoMigrate) {
+          await this.migrateProjectSchema(existingProject.id);
+        } else {
+          const { diff } = await this.migrateProjectSchema(existingProject.id, { dryRun: true });
+          if (diff.missing.length > 0 || diff.typeMismatches.length > 0) {
+            throw new Error(`Caplena project ${existingProject.id} does not match the field schema. ` +
+              'Run "npm run migrate:dry-run" to see the diff and "npm run migrate" to add missing columns.');
+          }
+        }
+
         return existingProject;
       }
 
+      // A configured project ID must point at an existing project
+      if (projectId) {
+        throw new Error(`Caplena project ${projectId} (CAPLENA_PROJECT_ID) does not exist`);
+      }
+
       // Create new project if it doesn't exist
-      logger.info('Project not found, creating new project', { projectName });
-      return await this.createProject(projectName, description);
+      logger.info('Project not found, creating new project', { projectName, language });
+      return await this.createProject(projectName, description, language);
       
     } catch (error) {
       logger.error('Failed to ensure project exists', { projectName, error: error.message });
@@ -225,6 +357,170 @@ class CaplenaService {
     }
   }
 
+  /**
+   * Project a transcript in the given language goes to. Without language routing
+   * everything goes to the base project in the fallback language.
+   */
+  getProjectRoute(projectName, language) {
+    const { routing, fallback, projectLanguages, projectNameTemplate } = config.language;
+
+    const routed = routing && language && language !== fallback &&
+      (projectLanguages.length === 0 || projectLanguages.includes(language));
+
+    if (!routed) {
+      return { projectName, language: fallback };
+    }
+
+    return {
+      projectName: projectNameTemplate.replace(/\{name\}/g, projectName).replace(/\{language\}/g, language),
+      language
+    };
+  }
+
+  /**
+   * Matches the names of a base project's language projects, capturing the language
+   */
+  getRoutedProjectNamePattern(projectName) {
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    let languageSeen = false;
+
+    const source = config.language.projectNameTemplate
+      .split(/(\{name\}|\{language\})/)
+      .map(part => {
+        if (part === '{name}') {
+          return escape(projectName);
+        }
+        if (part === '{language}') {
+          const group = languageSeen ? '\\1' : '([a-z]{2,3})';
+          languageSeen = true;
+          return group;
+        }
+        return escape(part);
+      })
+      .join('');
+
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * Every existing project uploads under a base name can have gone to: the base
+   * project and, with language routing, the language projects named from the template
+   */
+  async findRoutedProjects(projectName) {
+    const baseProject = await this.findProject(projectName);
+    const found = baseProject ? [{ route: this.getProjectRoute(projectName, null), project: baseProject }] : [];
+
+    if (!config.language.routing) {
+      return found;
+    }
+
+    const namePattern = this.getRoutedProjectNamePattern(projectName);
+    (await this.getProjects()).forEach(project => {
+      const match = project.id !== baseProject?.id ? namePattern.exec(project.name || '') : null;
+      if (match) {
+        found.push({ route: { projectName: project.name, language: match[1] }, project });
+      }
+    });
+
+    return found;
+  }
+
+  /**
+   * Register the projects that already exist for a base name, once per run
+   */
+  async loadRoutedProjects(projectName) {
+    if (this.loadedRouteBases.has(projectName)) {
+      return;
+    }
+
+    const found = await this.findRoutedProjects(projectName);
+    found.forEach(({ route, project }) => {
+      if (!this.routedProjects.has(route.projectName)) {
+        this.routedProjects.set(route.projectName, project);
+      }
+    });
+    this.loadedRouteBases.add(projectName);
+  }
+
+  /**
+   * Route of the project a conversation already has a row in, if any
+   */
+  getPinnedRoute(conversationId) {
+    for (const [projectName, project] of this.routedProjects) {
+      if (project && this.rowIndex.has(project.id, conversationId)) {
+        return { projectName, language: project.language || null };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Ensure a routed project exists, once per run
+   */
+  async ensureRoutedProject(route, description = 'Intercom conversations export') {
+    if (!this.routedProjects.has(route.projectName)) {
+      const project = await this.ensureProjectExists(route.projectName, description, route.language);
+      this.routedProjects.set(route.projectName, project);
+    }
+    return this.routedProjects.get(route.projectName);
+  }
+
+  /**
+   * Upload transcripts to the project for their language, creating projects as
+   * needed, and combine the per-project results
+   */
+  async uploadToLanguageProjects(projectName, conversations, description = 'Intercom conversations export') {
+    // A conversation stays in the project it was first uploaded to, even when a later
+    // run detects another language (e.g. after more replies), so it never gets a second row
+    if (config.language.routing) {
+      await this.loadRoutedProjects(projectName);
+      for (const project of this.routedProjects.values()) {
+        await this.rowIndex.load(project.id);
+      }
+    }
+
+    const groups = new Map();
+    conversations.forEach(conversation => {
+      const pinnedRoute = config.language.routing
+        ? this.getPinnedRoute(String(conversation?.conversationId || ''))
+        : null;
+      const route = pinnedRoute || this.getProjectRoute(projectName, conversation?.language);
+      if (!groups.has(route.projectName)) {
+        groups.set(route.projectName, { route, conversations: [] });
+      }
+      groups.get(route.projectName).conversations.push(conversation);
+    });
+
+    const results = [];
+    for (const { route, conversations: group } of groups.values()) {
+      const project = await this.ensureRoutedProject(route, description);
+
+      logger.info(`Uploading ${group.length} conversations to ${project.name}`, { language: route.language });
+      const result = await this.uploadConversations(project.id, group);
+      results.push({ ...result, project, language: route.language });
+    }
+
+    const sum = (key) => results.reduce((total, result) => total + (result[key] || 0), 0);
+
+    return {
+      success: results.every(result => !(result.failedCount > 0)),
+      uploadedCount: sum('uploadedCount'),
+      insertedCount: sum('insertedCount'),
+      skippedCount: sum('skippedCount'),
+      updatedCount: sum('updatedCount'),
+      failedCount: sum('failedCount'),
+      rejectedCount: sum('rejectedCount'),
+      batchCount: sum('batchCount'),
+      projects: results.map(result => ({
+        id: result.project.id,
+        name: result.project.name,
+        language: result.language,
+        insertedCount: result.insertedCount || 0
+      })),
+      uploadResults: results
+    };
+  }
+
   /**
    * Transform conversation data to Caplena bulk rows format
    */
@@ -235,185 +531,508 @@ class CaplenaService {
 
     // Extract user messages only
     const userMessages = conversation.messages.filter(message => 
-      message.author?.type === 'user'
+      isCustomerAuthor(message.author?.type)
     );
 
     if (userMessages.length === 0) {
       return null;
     }
 
-    // Create a single text entry combining all user messages
-    const userText = userMessages
-      .map(message => message.body)
-      .filter(body => body && body.trim())
-      .join('\n\n');
+    const { mode, agentColumn } = config.transcript;
+    const isDialogue = mode === 'dialogue';
+    const splitAgentText = isDialogue && agentColumn;
+
+    // The analysed text is either the user's messages alone or, in dialogue
+    // mode, the full labelled conversation (unless agent text has its own column)
+    const userText = isDialogue && !splitAgentText
+      ? this.formatTranscriptText(conversation.messages, true)
+      : this.formatTranscriptText(userMessages, false);
 
     if (!userText.trim()) {
       return null;
     }
 
+    // Agent and bot replies are kept for context but not analysed
+    const agentText = splitAgentText
+      ? this.formatTranscriptText(conversation.messages.filter(message => !isCustomerAuthor(message.author?.type)), true)
+      : '';
+
     // Format for Caplena bulk rows API
-    return {
-      columns: [
-        {
-          ref: 'text',
-          value: userText,
-          was_reviewed: false
-        },
-        {
-          ref: 'conversation_id',
-          value: conversation.conversationId || ''
-        },
-        {
-          ref: 'created_at',
-          value: String(conversation.createdAt || '')
-        },
-        {
-          ref: 'updated_at',
-          value: String(conversation.updatedAt || '')
-        },
-        {
-          ref: 'subject',
-          value: conversation.subject || ''
-        },
-        {
-          ref: 'source_url',
-          value: conversation.sourceUrl || ''
-        },
-        {
-          ref: 'location_city',
-          value: conversation.locationCity || ''
-        },
-        {
-          ref: 'location_region',
-          value: conversation.locationRegion || ''
-        },
-        {
-          ref: 'location_country',
-          value: conversation.locationCountry || ''
-        },
-        {
-          ref: 'contact_id',
-          value: conversation.contactId || ''
-        },
-        {
-          ref: 'browser',
-          value: conversation.browser || ''
-        },
-        {
-          ref: 'browser_version',
-          value: conversation.browserVersion || ''
-        },
-        {
-          ref: 'browser_language',
-          value: conversation.browserLanguage || ''
-        },
-        {
-          ref: 'os',
-          value: conversation.os || ''
-        },
-        {
-          ref: 'referrer',
-          value: conversation.referrer || ''
-        },
-        {
-          ref: 'user_message_count',
-          value: userMessages.length
-        },
-        {
-          ref: 'total_message_count',
-          value: conversation.messages.length
-        }
-      ]
+    const row = {
+      columns: getFieldSchema().buildCaplenaColumns(conversation, {
+        userText,
+        agentText,
+        userMessageCount: userMessages.length,
+        totalMessageCount: conversation.messages.length
+      })
     };
+
+    row.columns.push({
+      ref: CONTENT_HASH_REF,
+      value: computeContentHash(row.columns)
+    });
+
+    return row;
   }
 
   /**
-   * Upload conversation data to Caplena project using bulk rows API
+   * Join message bodies into one text block, optionally prefixed with speaker labels
+   */
+  formatTranscriptText(messages, withSpeakers) {
+    return messages
+      .filter(message => message.body && message.body.trim())
+      .map(message => {
+        if (!withSpeakers) {
+          return message.body;
+        }
+        const speaker = message.speaker || getSpeakerLabel(message.author?.type) || 'Agent';
+        return `${speaker}: ${message.body}`;
+      })
+      .join('\n\n');
+  }
+
+  /**
+   * Upload conversation data to Caplena project using bulk rows API,
+   * skipping conversations that already have a row in the project
    */
   async uploadConversations(projectId, conversations) {
     try {
       logger.info(`Uploading ${conversations.length} conversations to Caplena project ${projectId}`);
       
       // Transform conversations to Caplena format
-      const caplenaRows = conversations
-        .map(conversation => this.transformConversationForCaplena(conversation))
-        .filter(data => data !== null);
+      const freshRows = conversations
+        .map(conversation => ({
+          conversationId: String(conversation?.conversationId || ''),
+          row: this.transformConversationForCaplena(conversation)
+        }))
+        .filter(item => item.row !== null);
+
+      // Rows Caplena failed to process on an earlier run are retried after the fresh ones.
+      // They stay in the queue until this upload has dealt with them, so an error part
+      // way through never loses them.
+      const retryRows = (await this.retryQueue.readAll()).filter(entry => entry.projectId === projectId);
+      const caplenaRows = [
+        ...freshRows,
+        ...retryRows.map(({ conversationId, row, attempts }) => ({ conversationId, row, attempts }))
+      ];
 
       if (caplenaRows.length === 0) {
         logger.warn('No valid conversation data to upload');
         return { success: false, message: 'No valid data to upload' };
       }
 
-      logger.info(`Transformed ${caplenaRows.length} conversations for Caplena upload`);
+      logger.info(`Transformed ${freshRows.length} conversations for Caplena upload`);
+      if (retryRows.length > 0) {
+        logger.info(`Retrying ${retryRows.length} rows from the upload retry queue`);
+      }
+
+      // Refresh the index when retrying, since a row that timed out may have been processed since
+      const result = await this.uploadRows(projectId, caplenaRows, { refreshIndex: retryRows.length > 0 });
+
+      // Every retried row is now confirmed, skipped, dead-lettered or queued again as a new entry
+      if (retryRows.length > 0) {
+        const handled = new Set(retryRows.map(entry => this.getRetryEntryKey(entry)));
+        await this.retryQueue.remove(entry => handled.has(this.getRetryEntryKey(entry)));
+      }
+
+      return { ...result, retriedCount: retryRows.length };
+
+    } catch (error) {
+      logger.error('Failed to upload conversations to Caplena', { 
+        projectId, 
+        error: error.message 
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Insert new rows, update changed ones and skip the rest. Rows Caplena rejects
+   * are written to the dead-letter file and the remaining batches carry on.
+   */
+  async uploadRows(projectId, caplenaRows, { refreshIndex = false } = {}) {
+    await this.rowIndex.load(projectId, { refresh: refreshIndex });
+    const seen = new Set();
+    const newRows = [];
+    const changedRows = [];
+    let skippedCount = 0;
+
+    caplenaRows.forEach(item => {
+      const existing = this.rowIndex.get(projectId, item.conversationId);
+      const hash = this.getContentHash(item.row);
+
+      if (seen.has(item.conversationId)) {
+        skippedCount++;
+      } else if (!existing) {
+        newRows.push(item);
+      } else if (existing.hash === hash) {
+        skippedCount++;
+      } else if (!existing.rowId) {
+        logger.warn('Conversation changed but its Caplena row ID is unknown, skipping update', {
+          conversationId: item.conversationId
+        });
+        skippedCount++;
+      } else {
+        changedRows.push({ ...item, rowId: existing.rowId });
+      }
+      seen.add(item.conversationId);
+    });
+
+    if (skippedCount > 0) {
+      logger.info(`Skipping ${skippedCount} conversations already up to date in Caplena`);
+    }
+
+    const deadLetters = [];
 
-      // Upload data in batches of 20 (API limit)
-      const batchSize = 20;
-      const batches = [];
-      for (let i = 0; i < caplenaRows.length; i += batchSize) {
-        batches.push(caplenaRows.slice(i, i + batchSize));
+    // Update rows whose transcript changed since they were uploaded
+    let updatedCount = 0;
+    for (const item of changedRows) {
+      try {
+        await this.updateConversationRow(projectId, item.rowId, item.row);
+      } catch (error) {
+        // The row was deleted in Caplena since it was indexed, so upload it again
+        if (error.response?.status === 404) {
+          logger.warn('Caplena row no longer exists, inserting it again', {
+            conversationId: item.conversationId,
+            rowId: item.rowId
+          });
+          this.rowIndex.delete(projectId, item.conversationId);
+          newRows.push({ conversationId: item.conversationId, row: item.row, attempts: item.attempts });
+          continue;
+        }
+        if (!this.isRowRejection(error)) {
+          throw error;
+        }
+        deadLetters.push(this.toDeadLetter(projectId, item, error));
+        continue;
       }
+      this.rowIndex.set(projectId, item.conversationId, { rowId: item.rowId, hash: this.getContentHash(item.row) });
+      await this.rowIndex.save(projectId);
+      updatedCount++;
+    }
+
+    // Upload data in batches of 20 (API limit)
+    const batchSize = 20;
+    const batches = [];
+    for (let i = 0; i < newRows.length; i += batchSize) {
+      batches.push(newRows.slice(i, i + batchSize));
+    }
 
-      logger.info(`Uploading ${caplenaRows.length} rows in ${batches.length} batches`);
+    logger.info(`Uploading ${newRows.length} rows in ${batches.length} batches`);
 
-      const uploadResults = [];
-      let totalUploaded = 0;
+    const uploadResults = [];
+    const pendingTasks = [];
+    const unsentRows = [];
+    let totalUploaded = 0;
 
+    try {
       for (let i = 0; i < batches.length; i++) {
         const batch = batches[i];
         logger.info(`Uploading batch ${i + 1}/${batches.length} with ${batch.length} rows`);
 
+        const accepted = [];
+        let uploadError = null;
         try {
-          const response = await this.client.post(`/v2/projects/${projectId}/rows/bulk`, batch);
-          
-          logger.info(`Successfully uploaded batch ${i + 1}`, {
-            status: response.data.status,
-            taskId: response.data.task_id,
-            queuedRowsCount: response.data.queued_rows_count,
-            estimatedMinutes: response.data.estimated_minutes,
-            resultsCount: response.data.results?.length || 0
-          });
+          await this.postBatch(projectId, batch, deadLetters, accepted);
+        } catch (error) {
+          uploadError = error;
+        }
 
+        accepted.forEach(({ items, response }) => {
           uploadResults.push(response.data);
-          totalUploaded += response.data.queued_rows_count;
+          pendingTasks.push({ batchNumber: i + 1, batch: items, taskId: response.data.task_id });
+          totalUploaded += response.data.queued_rows_count || 0;
 
-          // Rate limiting: wait 100ms between requests (10 requests per second limit)
-          if (i < batches.length - 1) {
-            await new Promise(resolve => setTimeout(resolve, 100));
-          }
+          // Record the new rows straight away so a later failure doesn't re-upload them
+          items.forEach(({ conversationId, row }, index) => {
+            this.rowIndex.set(projectId, conversationId, {
+              rowId: response.data.results?.[index]?.id || null,
+              hash: this.getContentHash(row)
+            });
+          });
+        });
+        await this.rowIndex.save(projectId);
 
-        } catch (error) {
-          logger.error(`Failed to upload batch ${i + 1}`, { 
-            batchIndex: i,
-            error: error.message,
-            response: error.response?.data 
+        // Caplena is down or unreachable: queue the rows not yet sent for the next upload
+        // rather than abandoning them, and still confirm the batches already posted
+        if (uploadError) {
+          const handled = new Set([
+            ...accepted.flatMap(({ items }) => items.map(item => item.conversationId)),
+            ...deadLetters.map(record => record.conversationId)
+          ]);
+          const remaining = [...batch.filter(item => !handled.has(item.conversationId)), ...batches.slice(i + 1).flat()];
+          logger.warn(`Stopped uploading after batch ${i + 1} failed, queuing ${remaining.length} rows for retry`, {
+            error: uploadError.message
           });
-          throw error;
+          remaining.forEach(item => unsentRows.push({
+            projectId,
+            conversationId: item.conversationId,
+            row: item.row,
+            taskId: null,
+            attempts: item.attempts || 0,
+            error: { status: uploadError.response?.status || null, message: uploadError.message },
+            failedAt: new Date().toISOString()
+          }));
+          break;
         }
       }
+    } catch (error) {
+      // Confirm the batches already posted before giving up, so their rows don't stay
+      // in the index unchecked; if that fails too, forget them so they are re-sent
+      try {
+        await this.confirmBatches(projectId, pendingTasks, deadLetters);
+        await this.deadLetterQueue.append(deadLetters);
+      } catch (confirmError) {
+        logger.error('Failed to confirm the batches already posted', { error: confirmError.message });
+        pendingTasks.forEach(({ batch }) => batch.forEach(item => this.rowIndex.delete(projectId, item.conversationId)));
+        await this.rowIndex.save(projectId).catch(() => {});
+      }
+      throw error;
+    }
 
-      logger.info('Successfully uploaded all conversations to Caplena', {
-        projectId,
-        totalUploaded,
-        batchCount: batches.length,
-        uploadResults: uploadResults.length
-      });
+    // Wait for Caplena to process each batch; failed rows go to the retry queue
+    const confirmed = await this.confirmBatches(projectId, pendingTasks, deadLetters);
+    const { batchStatuses, insertedCount } = confirmed;
+    await this.retryQueue.append(unsentRows);
+    const failedRows = [...confirmed.failedRows, ...unsentRows];
 
-      return {
-        success: true,
-        uploadedCount: totalUploaded,
-        projectId,
-        batchCount: batches.length,
-        uploadResults
-      };
+    if (deadLetters.length > 0) {
+      logger.warn(`Caplena rejected ${deadLetters.length} rows, written to the dead-letter file`);
+      await this.deadLetterQueue.append(deadLetters);
+    }
+
+    const summary = {
+      insertedCount,
+      skippedCount,
+      updatedCount,
+      failedCount: failedRows.length,
+      rejectedCount: deadLetters.length
+    };
+
+    logger.info(failedRows.length === 0
+      ? 'Successfully uploaded all conversations to Caplena'
+      : 'Uploaded conversations to Caplena with failed rows queued for retry', {
+      projectId,
+      totalUploaded,
+      ...summary,
+      batchCount: batches.length,
+      uploadResults: uploadResults.length
+    });
+
+    // Rejected rows are set aside in the dead letters, so only rows still awaiting retry fail the upload
+    return {
+      success: failedRows.length === 0,
+      uploadedCount: totalUploaded,
+      ...summary,
+      projectId,
+      batchCount: batches.length,
+      batches: batchStatuses,
+      uploadResults
+    };
+  }
+
+  /**
+   * Post rows to the bulk API. A rejected batch is split in half and retried
+   * until the rows Caplena rejects are isolated and set aside as dead letters.
+   * Posted sub-batches are collected in `accepted`, so they survive a later error.
+   */
+  async postBatch(projectId, items, deadLetters, accepted) {
+    try {
+      const response = await this.client.post(`/v2/projects/${projectId}/rows/bulk`, items.map(item => item.row));
 
+      logger.info(`Successfully queued ${items.length} rows`, {
+        status: response.data.status,
+        taskId: response.data.task_id,
+        queuedRowsCount: response.data.queued_rows_count,
+        estimatedMinutes: response.data.estimated_minutes,
+        resultsCount: response.data.results?.length || 0
+      });
+
+      accepted.push({ items, response });
     } catch (error) {
-      logger.error('Failed to upload conversations to Caplena', { 
-        projectId, 
-        error: error.message 
+      // Outages and auth failures aren't caused by the rows, so splitting won't help
+      if (!this.isRowRejection(error)) {
+        logger.error(`Failed to upload ${items.length} rows`, {
+          error: error.message,
+          response: error.response?.data
+        });
+        throw error;
+      }
+
+      if (items.length === 1) {
+        logger.error('Caplena rejected row', {
+          conversationId: items[0].conversationId,
+          status: error.response?.status,
+          response: error.response?.data
+        });
+        deadLetters.push(this.toDeadLetter(projectId, items[0], error));
+        return;
+      }
+
+      logger.warn(`Caplena rejected a batch of ${items.length} rows, splitting it to isolate the bad rows`, {
+        status: error.response?.status
       });
-      throw error;
+
+      const middle = Math.ceil(items.length / 2);
+      await this.postBatch(projectId, items.slice(0, middle), deadLetters, accepted);
+      await this.postBatch(projectId, items.slice(middle), deadLetters, accepted);
+    }
+  }
+
+  /**
+   * Whether Caplena refused the request because of the rows it contained
+   */
+  isRowRejection(error) {
+    return REJECTED_ROW_STATUS_CODES.has(error.response?.status);
+  }
+
+  /**
+   * Dead-letter record for a row Caplena would not accept
+   */
+  toDeadLetter(projectId, item, error) {
+    return {
+      projectId,
+      conversationId: item.conversationId,
+      row: item.row,
+      error: error instanceof Error
+        ? { status: error.response?.status || null, message: error.message, details: error.response?.data || null }
+        : { status: null, message: typeof error === 'string' ? error : JSON.stringify(error), details: null },
+      failedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Re-submit dead-lettered rows, optionally only those for the given project IDs.
+   * Rows that are rejected again go back to the dead-letter file.
+   */
+  async resubmitDeadLetters(projectIds = null) {
+    const records = await this.deadLetterQueue.take(record => !projectIds || projectIds.includes(record.projectId));
+    const byProject = new Map();
+    records.forEach(record => {
+      if (!byProject.has(record.projectId)) {
+        byProject.set(record.projectId, []);
+      }
+      byProject.get(record.projectId).push({ conversationId: record.conversationId, row: record.row });
+    });
+
+    logger.info(`Re-submitting ${records.length} dead-lettered rows`, { projects: byProject.size });
+
+    const results = [];
+    const handled = new Set();
+    for (const [id, items] of byProject) {
+      try {
+        results.push(await this.uploadRows(id, items, { refreshIndex: true }));
+        handled.add(id);
+      } catch (error) {
+        // Put back whatever wasn't handled so nothing is lost
+        await this.deadLetterQueue.append(records.filter(record => !handled.has(record.projectId)));
+        throw error;
+      }
     }
+
+    return { resubmittedCount: records.length, results };
+  }
+
+  /**
+   * Poll each bulk task until Caplena confirms it. Batches are only marked done
+   * once confirmed; rows that failed processing are queued for the next upload.
+   */
+  async confirmBatches(projectId, pendingTasks, deadLetters) {
+    const batchStatuses = [];
+    const failedRows = [];
+    let insertedCount = 0;
+
+    for (const { batchNumber, batch, taskId } of pendingTasks) {
+      if (!taskId) {
+        logger.warn(`Batch ${batchNumber} returned no task ID, it cannot be confirmed`);
+        batchStatuses.push({ batch: batchNumber, taskId: null, status: 'unconfirmed', rowCount: batch.length, failedCount: 0 });
+        continue;
+      }
+
+      let taskResult;
+      try {
+        taskResult = await this.taskTracker.waitForTask(projectId, taskId, batch.length);
+      } catch (error) {
+        logger.error(`Failed to check task for batch ${batchNumber}`, { taskId, error: error.message });
+        taskResult = {
+          status: 'unknown',
+          failedRows: batch.map((_, index) => ({ index, error: error.message }))
+        };
+      }
+
+      const errors = new Map(taskResult.failedRows.map(({ index, error }) => [index, error]));
+      batch.forEach((item, index) => {
+        if (errors.has(index)) {
+          this.rowIndex.delete(projectId, item.conversationId);
+          const attempts = (item.attempts || 0) + 1;
+
+          // Rows that keep failing are set aside rather than retried forever
+          if (attempts >= config.caplena.upload.maxAttempts) {
+            deadLetters.push(this.toDeadLetter(projectId, item, errors.get(index)));
+            return;
+          }
+
+          failedRows.push({
+            projectId,
+            conversationId: item.conversationId,
+            row: item.row,
+            taskId,
+            attempts,
+            error: errors.get(index),
+            failedAt: new Date().toISOString()
+          });
+        } else {
+          insertedCount++;
+        }
+      });
+
+      const status = errors.size === 0 ? 'done' : (errors.size === batch.length ? 'failed' : 'partial');
+      batchStatuses.push({ batch: batchNumber, taskId, status, rowCount: batch.length, failedCount: errors.size });
+
+      if (errors.size > 0) {
+        logger.warn(`Caplena failed to process ${errors.size} rows in batch ${batchNumber}`, { taskId, status: taskResult.status });
+      }
+    }
+
+    if (failedRows.length > 0 || deadLetters.length > 0) {
+      await this.rowIndex.save(projectId);
+    }
+    await this.retryQueue.append(failedRows);
+
+    return { batchStatuses, insertedCount, failedRows };
+  }
+
+  /**
+   * Identifies one retry queue entry; a row that fails again is queued as a new entry
+   */
+  getRetryEntryKey(entry) {
+    return `${entry.projectId}|${entry.conversationId}|${entry.taskId}|${entry.failedAt}`;
+  }
+
+  /**
+   * Content hash carried by a transformed row
+   */
+  getContentHash(row) {
+    return row.columns.find(column => column.ref === CONTENT_HASH_REF)?.value || computeContentHash(row.columns);
+  }
+
+  /**
+   * Update an existing row in place. Analysed text columns whose value is unchanged
+   * are left out of the update, so their reviewed codings are kept.
+   */
+  async updateConversationRow(projectId, rowId, row) {
+    const existingRow = await this.rowManager.getRow(projectId, rowId);
+    const existingValues = new Map((existingRow.columns || []).map(column => [column.ref, column.value]));
+
+    const columns = row.columns.filter(column =>
+      !isAnalysedColumn(column) || existingValues.get(column.ref) !== column.value
+    );
+
+    logger.info(`Updating Caplena row ${rowId}`, {
+      changedTextColumns: columns.filter(isAnalysedColumn).map(column => column.ref)
+    });
+
+    return this.rowManager.updateRow(projectId, rowId, columns);
   }
 
   /**
@@ -422,10 +1041,9 @@ class CaplenaService {
   async testConnection() {
     try {
       logger.info('Testing Caplena API connection...');
-      const response = await this.getProjects();
-      logger.info('Caplena API connection successful', {
-        projectCount: response.length || 0
-      });
+      // One page is enough to prove the key works, however many projects the account has
+      await this.client.get('/v2/projects', { params: { limit: 1 } });
+      logger.info('Caplena API connection successful');
       return true;
     } catch (error) {
       logger.error('Caplena API connection failed', { error: error.message });
@@ -0,0 +1,149 @@
+const fs = require('fs').promises;
+const writeFileAtomic = require('../utils/writeFileAtomic');
+const logger = require('../utils/logger');
+
+/**
+ * Index of the conversations already uploaded to each Caplena project,
+ * built from the project's rows and cached locally between runs
+ */
+class CaplenaRowIndex {
+  constructor(rowManager, { filePath, ttlHours = 24 } = {}) {
+    this.rowManager = rowManager;
+    this.filePath = filePath;
+    this.ttlMs = ttlHours * 60 * 60 * 1000;
+    this.projects = new Map();
+  }
+
+  /**
+   * Load the index for a project, rebuilding it from Caplena when the cache is missing or stale
+   */
+  async load(projectId, { refresh = false } = {}) {
+    if (!refresh && this.projects.has(projectId)) {
+      return this.projects.get(projectId);
+    }
+
+    const cache = await this.readCache();
+    const cached = cache[projectId];
+    const isFresh = cached && Date.now() - new Date(cached.builtAt).getTime() < this.ttlMs;
+
+    if (!refresh && isFresh) {
+      const entries = new Map(Object.entries(cached.rows || {}));
+      logger.info('Loaded Caplena row index from cache', { projectId, size: entries.size, builtAt: cached.builtAt });
+      this.projects.set(projectId, { builtAt: cached.builtAt, entries });
+      return this.projects.get(projectId);
+    }
+
+    return this.build(projectId);
+  }
+
+  /**
+   * Rebuild a project's index from every row currently in Caplena
+   */
+  async build(projectId) {
+    logger.info('Building Caplena row index', { projectId });
+    const rows = await this.rowManager.getAllRows(projectId);
+
+    const entries = new Map();
+    rows.forEach(row => {
+      const conversationId = this.rowManager.extractConversationId(row);
+      if (conversationId && !entries.has(String(conversationId))) {
+        entries.set(String(conversationId), {
+          rowId: row.id,
+          hash: this.rowManager.extractContentHash(row)
+        });
+      }
+    });
+
+    const index = { builtAt: new Date().toISOString(), entries };
+    this.projects.set(projectId, index);
+    await this.save(projectId);
+
+    logger.info('Built Caplena row index', { projectId, rowCount: rows.length, size: entries.size });
+    return index;
+  }
+
+  /**
+   * Whether a conversation already has a row in the project
+   */
+  has(projectId, conversationId) {
+    return this.projects.get(projectId)?.entries.has(String(conversationId)) || false;
+  }
+
+  get(projectId, conversationId) {
+    return this.projects.get(projectId)?.entries.get(String(conversationId)) || null;
+  }
+
+  /**
+   * Record a row inserted or updated during this run
+   */
+  set(projectId, conversationId, entry) {
+    const index = this.projects.get(projectId);
+    if (!index) {
+      throw new Error(`Caplena row index for project ${projectId} is not loaded`);
+    }
+    index.entries.set(String(conversationId), entry);
+  }
+
+  /**
+   * Drop a conversation, e.g. when Caplena failed to process its row
+   */
+  delete(projectId, conversationId) {
+    this.projects.get(projectId)?.entries.delete(String(conversationId));
+  }
+
+  /**
+   * Persist a project's index to the local cache
+   */
+  async save(projectId) {
+    const index = this.projects.get(projectId);
+    if (!index || !this.filePath) {
+      return;
+    }
+
+    const cache = await this.readCache();
+    cache[projectId] = {
+      builtAt: index.builtAt,
+      rows: Object.fromEntries(index.entries)
+    };
+    await this.writeCache(cache);
+  }
+
+  /**
+   * Forget a project's index, e.g. after its rows were deleted
+   */
+  async invalidate(projectId) {
+    this.projects.delete(projectId);
+
+    const cache = await this.readCache();
+    if (cache[projectId]) {
+      delete cache[projectId];
+      await this.writeCache(cache);
+      logger.info('Invalidated Caplena row index', { projectId });
+    }
+  }
+
+  async readCache() {
+    if (!this.filePath) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Ignoring unreadable Caplena row index cache', { filePath: this.filePath, error: error.message });
+      }
+      return {};
+    }
+  }
+
+  async writeCache(cache) {
+    if (!this.filePath) {
+      return;
+    }
+
+    await writeFileAtomic(this.filePath, JSON.stringify(cache));
+  }
+}
+
+module.exports = CaplenaRowIndex;
@@ -1,6 +1,9 @@
 require('dotenv').config();
 const axios = require('axios');
 const logger = require('../utils/logger');
+const { attachRetry } = require('../utils/retry');
+const { CONTENT_HASH_REF, computeContentHash } = require('../utils/contentHash');
+const { getFieldSchema } = require('../utils/fieldSchema');
 
 class CaplenaRowManager {
   constructor() {
@@ -34,6 +37,9 @@ class CaplenaRowManager {
         return Promise.reject(error);
       }
     );
+
+    // Retry rate-limited and transient failures with backoff
+    attachRetry(this.client, { name: 'Caplena' });
   }
 
   /**
@@ -73,9 +79,6 @@ class CaplenaRowManager {
         } else {
           hasMore = false;
         }
-
-        // Add a small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 100));
       }
 
       logger.info(`Total rows fetched: ${allRows.length}`);
@@ -90,6 +93,46 @@ class CaplenaRowManager {
     }
   }
 
+  /**
+   * Get a single row from a Caplena project
+   */
+  async getRow(projectId, rowId) {
+    try {
+      const response = await this.client.get(`/v2/projects/${projectId}/rows/${rowId}`);
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to fetch row from Caplena', { 
+        projectId, 
+        rowId, 
+        error: error.message,
+        response: error.response?.data 
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a row in place; only the columns given are changed
+   */
+  async updateRow(projectId, rowId, columns) {
+    try {
+      logger.info(`Updating row ${rowId} in project ${projectId}`);
+
+      const response = await this.client.patch(`/v2/projects/${projectId}/rows/${rowId}`, { columns }, { idempotent: true });
+
+      logger.info(`Successfully updated row ${rowId}`);
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to update row', { 
+        projectId, 
+        rowId, 
+        error: error.message,
+        response: error.response?.data 
+      });
+      throw error;
+    }
+  }
+
   /**
    * Identify duplicate rows based on conversation_id and text content
    */
@@ -130,11 +173,12 @@ class CaplenaRowManager {
   }
 
   /**
-   * Extract conversation_id from row data
+   * Extract the conversation ID from row data
    */
   extractConversationId(row) {
+    const ref = getFieldSchema().getConversationIdRef();
     try {
-      const conversationIdColumn = row.columns?.find(col => col.ref === 'conversation_id');
+      const conversationIdColumn = row.columns?.find(col => col.ref === ref);
       return conversationIdColumn?.value || null;
     } catch (error) {
       logger.warn('Failed to extract conversation_id', { rowId: row.id, error: error.message });
@@ -142,12 +186,21 @@ class CaplenaRowManager {
     }
   }
 
+  /**
+   * Extract the content hash from row data, computing it for rows uploaded before it was stored
+   */
+  extractContentHash(row) {
+    const hashColumn = row.columns?.find(col => col.ref === CONTENT_HASH_REF);
+    return hashColumn?.value || computeContentHash(row.columns);
+  }
+
   /**
    * Extract text content from row data
    */
   extractText(row) {
+    const ref = getFieldSchema().getTextRef();
     try {
-      const textColumn = row.columns?.find(col => col.ref === 'text');
+      const textColumn = row.columns?.find(col => col.ref === ref);
       return textColumn?.value || null;
     } catch (error) {
       logger.warn('Failed to extract text', { rowId: row.id, error: error.message });
@@ -155,6 +208,28 @@ class CaplenaRowManager {
     }
   }
 
+  /**
+   * Extract the topics and sentiment Caplena assigned to each analysed text column
+   */
+  extractCodings(row) {
+    return (row.columns || [])
+      .filter(col => col.type === 'text_to_analyze' || Array.isArray(col.topics))
+      .map(col => {
+        const overall = col.sentiment_overall;
+        return {
+          ref: col.ref,
+          wasReviewed: col.was_reviewed ?? null,
+          sentiment: (overall && typeof overall === 'object' ? overall.sentiment_label : overall) || null,
+          topics: (col.topics || []).map(topic => ({
+            id: topic.id ?? null,
+            label: topic.label || topic.name || '',
+            category: topic.category || '',
+            sentiment: topic.sentiment_label || topic.sentiment || null
+          }))
+        };
+      });
+  }
+
   /**
    * Delete a row from Caplena
    */
@@ -204,10 +279,6 @@ class CaplenaRowManager {
         results.successful++;
         
         logger.info(`Deleted duplicate ${i + 1}/${duplicates.length}: ${duplicate.duplicate.id}`);
-        
-        // Add a small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 100));
-        
       } catch (error) {
         results.failed++;
         results.errors.push({
@@ -252,9 +323,6 @@ class CaplenaRowManager {
         results.successful++;
         
         logger.info(`Deleted row ${i + 1}/${rows.length}: ${row.id}`);
-        
-        // Add a small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 100));
       } catch (error) {
         results.failed++;
         results.errors.push({
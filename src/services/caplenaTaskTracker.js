@@ -0,0 +1,91 @@
+const logger = require('../utils/logger');
+const { sleep } = require('../utils/retry');
+
+// Task statuses that mean Caplena has finished with the upload; anything else,
+// including a status we don't know, is polled until it finishes or times out
+const SUCCEEDED_STATUSES = new Set(['succeeded', 'success', 'completed', 'done', 'finished', 'partial', 'partially_failed']);
+const FAILED_STATUSES = new Set(['failed', 'error', 'cancelled', 'canceled']);
+
+class CaplenaTaskTracker {
+  constructor(client, { pollIntervalMs = 5000, timeoutMs = 600000 } = {}) {
+    this.client = client;
+    this.pollIntervalMs = pollIntervalMs;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Fetch the current state of a bulk upload task
+   */
+  async getTask(projectId, taskId) {
+    const response = await this.client.get(`/v2/projects/${projectId}/rows/bulk/${taskId}`);
+    return response.data;
+  }
+
+  /**
+   * Poll a bulk upload task until Caplena has finished processing it.
+   * Returns the final status and the indexes of the rows that failed.
+   */
+  async waitForTask(projectId, taskId, rowCount) {
+    const startedAt = Date.now();
+
+    while (true) {
+      const task = await this.getTask(projectId, taskId);
+      const status = String(task.status || '').toLowerCase();
+
+      if (SUCCEEDED_STATUSES.has(status) || FAILED_STATUSES.has(status)) {
+        const failedRows = this.getFailedRows(task, status, rowCount);
+
+        logger.info('Caplena bulk task finished', {
+          projectId,
+          taskId,
+          status,
+          failedRows: failedRows.length
+        });
+
+        return { taskId, status, failedRows, task };
+      }
+
+      if (Date.now() - startedAt >= this.timeoutMs) {
+        logger.warn('Timed out waiting for Caplena bulk task', { projectId, taskId, status });
+        return {
+          taskId,
+          status: 'timeout',
+          failedRows: Array.from({ length: rowCount }, (_, index) => ({
+            index,
+            error: `Task ${taskId} did not finish within ${Math.round(this.timeoutMs / 1000)}s`
+          })),
+          task
+        };
+      }
+
+      logger.debug('Waiting for Caplena bulk task', { taskId, status });
+      await sleep(this.pollIntervalMs);
+    }
+  }
+
+  /**
+   * Rows reported as failed, by their index in the uploaded batch
+   */
+  getFailedRows(task, status, rowCount) {
+    const results = Array.isArray(task.results) ? task.results : [];
+    const failedRows = results
+      .map((result, index) => ({ result, index }))
+      .filter(({ result }) => result && (result.status === 'failed' || result.error || result.errors))
+      .map(({ result, index }) => ({
+        index,
+        error: result.error || result.errors || result.status
+      }));
+
+    // A failed task with no per-row detail means the whole batch failed
+    if (FAILED_STATUSES.has(status) && failedRows.length === 0) {
+      return Array.from({ length: rowCount }, (_, index) => ({
+        index,
+        error: task.error || task.message || 'Bulk task failed'
+      }));
+    }
+
+    return failedRows;
+  }
+}
+
+module.exports = CaplenaTaskTracker;
@@ -1,6 +1,15 @@
 const axios = require('axios');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { attachRetry } = require('../utils/retry');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const ContactCache = require('../utils/contactCache');
+const ExtractionCheckpoint = require('../utils/checkpoint');
+const StockResponseFilter = require('../utils/stockResponseFilter');
+const PiiRedactor = require('../utils/piiRedactor');
+const htmlToText = require('../utils/htmlToText');
+const { getSpeakerLabel, isCustomerAuthor } = require('../utils/speakerLabels');
+const { detectLanguage, normalizeLanguageCode } = require('../utils/languageDetector');
 
 class IntercomService {
   constructor() {
@@ -34,6 +43,21 @@ class IntercomService {
         return Promise.reject(error);
       }
     );
+
+    // Retry rate-limited and transient failures with backoff
+    attachRetry(this.client, { name: 'Intercom' });
+
+    // Rules for quick replies and canned answers that carry no analysable text
+    this.stockResponseFilter = StockResponseFilter.fromFile(config.filters.stockResponsesPath);
+
+    // Personal data is replaced with placeholders before transcripts reach the CSV or Caplena
+    this.piiRedactor = config.redaction.enabled ? PiiRedactor.fromFile(config.redaction.rulesPath) : null;
+
+    // Contacts are shared by many conversations, so cache them between lookups
+    this.contactCache = new ContactCache({
+      ttlMs: config.intercom.contactCache.ttlHours * 60 * 60 * 1000,
+      filePath: config.intercom.contactCache.path
+    });
   }
 
   /**
@@ -74,58 +98,97 @@ class IntercomService {
   }
 
   /**
-   * Get conversations since a specific timestamp
+   * Search conversations using the Intercom Search API
+   */
+  async searchConversations(query, perPage = 150, startingAfter = null) {
+    try {
+      logger.info('Searching conversations in Intercom', { perPage, startingAfter });
+
+      const body = {
+        query,
+        pagination: {
+          per_page: perPage
+        }
+      };
+
+      // Add starting_after for cursor-based pagination
+      if (startingAfter) {
+        body.pagination.starting_after = startingAfter;
+      }
+
+      const response = await this.client.post('/conversations/search', body, { idempotent: true });
+
+      logger.info('Search response structure', {
+        totalCount: response.data.total_count,
+        conversationsCount: response.data.conversations?.length,
+        nextCursor: response.data.pages?.next?.starting_after || null
+      });
+
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to search conversations', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Build a search query matching conversations whose timestamp field falls in [since, until)
+   */
+  buildTimeWindowQuery(sinceTimestamp, untilTimestamp = null, field = 'updated_at') {
+    // The Search API only supports strict comparisons, so widen the lower bound by one second
+    const filters = [
+      { field, operator: '>', value: sinceTimestamp - 1 }
+    ];
+
+    if (untilTimestamp) {
+      filters.push({ field, operator: '<', value: untilTimestamp });
+    }
+
+    return filters.length === 1 ? filters[0] : { operator: 'AND', value: filters };
+  }
+
+  /**
+   * Get conversations updated (or created) within a time window
    */
-  async getConversationsSince(sinceTimestamp, limit = 1000) {
+  async getConversationsSince(sinceTimestamp, options = {}) {
+    const { untilTimestamp = null, field = 'updated_at', limit = null } = options;
+
     try {
       logger.info('Fetching conversations since timestamp', { 
         sinceTimestamp, 
         sinceDate: new Date(sinceTimestamp * 1000).toISOString(),
+        untilDate: untilTimestamp ? new Date(untilTimestamp * 1000).toISOString() : null,
+        field,
         limit 
       });
 
+      const query = this.buildTimeWindowQuery(sinceTimestamp, untilTimestamp, field);
       const conversations = [];
-      let page = 1;
       let startingAfter = null;
       let hasMore = true;
 
-      while (hasMore && conversations.length < limit) {
-        const response = await this.getConversations(page, 50, startingAfter);
+      while (hasMore && (limit === null || conversations.length < limit)) {
+        const response = await this.searchConversations(query, 150, startingAfter);
         
         if (!response.conversations || response.conversations.length === 0) {
           logger.info('No more conversations found');
           break;
         }
 
-        // Filter conversations by timestamp
-        const filteredConversations = response.conversations.filter(conversation => {
-          const updatedAt = parseInt(conversation.updated_at);
-          return updatedAt >= sinceTimestamp;
-        });
-
-        // If we find conversations older than our timestamp, we can stop
-        if (filteredConversations.length < response.conversations.length) {
-          logger.info('Found conversations older than timestamp, stopping pagination');
-          conversations.push(...filteredConversations);
-          break;
-        }
-
-        conversations.push(...filteredConversations);
+        conversations.push(...response.conversations);
 
         // Check if we have more pages
-        if (response.pages && response.pages.next) {
+        if (response.pages && response.pages.next && response.pages.next.starting_after) {
           startingAfter = response.pages.next.starting_after;
-          page++;
         } else {
           hasMore = false;
         }
-
-        // Add a small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 100));
       }
 
-      logger.info(`Found ${conversations.length} conversations since timestamp`);
-      return conversations;
+      const result = limit === null ? conversations : conversations.slice(0, limit);
+
+      logger.info(`Found ${result.length} conversations since timestamp`);
+      return result;
 
     } catch (error) {
       logger.error('Failed to fetch conversations since timestamp', { 
@@ -156,15 +219,17 @@ class IntercomService {
   }
 
   /**
-   * Get contact details by ID
+   * Get contact details by ID (served from the contact cache when possible)
    */
   async getContact(contactId) {
     try {
-      logger.info('Fetching contact details', { contactId });
-      
-      const response = await this.client.get(`/contacts/${contactId}`);
-      
-      return response.data;
+      return await this.contactCache.getOrFetch(contactId, async (id) => {
+        logger.info('Fetching contact details', { contactId: id });
+
+        const response = await this.client.get(`/contacts/${id}`);
+
+        return response.data;
+      });
     } catch (error) {
       logger.error('Failed to fetch contact', { 
         contactId, 
@@ -175,11 +240,228 @@ class IntercomService {
   }
 
   /**
-   * Get conversations with full transcripts (limited to specified count)
+   * List every tag in the workspace
+   */
+  async listTags() {
+    try {
+      const response = await this.client.get('/tags');
+      return response.data.data || [];
+    } catch (error) {
+      logger.error('Failed to list tags', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a tag (Intercom returns the existing tag if the name is taken)
+   */
+  async createTag(name) {
+    try {
+      logger.info('Creating tag', { name });
+
+      const response = await this.client.post('/tags', { name }, { idempotent: true });
+
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to create tag', { 
+        name, 
+        error: error.message,
+        response: error.response?.data 
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Attach a tag to a conversation on behalf of an admin
+   */
+  async tagConversation(conversationId, tagId, adminId) {
+    try {
+      const response = await this.client.post(`/conversations/${conversationId}/tags`, {
+        id: String(tagId),
+        admin_id: String(adminId)
+      }, { idempotent: true });
+
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to tag conversation', { 
+        conversationId, 
+        tagId, 
+        error: error.message,
+        response: error.response?.data 
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a conversation with its transcript and the first contact's details merged in
+   */
+  async getConversationWithContact(conversationId) {
+    const fullConversation = await this.getConversation(conversationId);
+
+    // Fetch contact details for device information if contact exists
+    const contactId = fullConversation.contacts?.contacts?.[0]?.id;
+    if (contactId) {
+      try {
+        // Merge contact data into conversation for easier access
+        fullConversation.contactDetails = await this.getContact(contactId);
+      } catch (contactError) {
+        logger.warn('Failed to fetch contact details', { 
+          contactId, 
+          error: contactError.message 
+        });
+      }
+    }
+
+    // Resolve assignee IDs to names so exports can be sliced by team
+    fullConversation.teamAssigneeName = await this.getAssigneeName('teams', fullConversation.team_assignee_id);
+    fullConversation.adminAssigneeName = await this.getAssigneeName('admins', fullConversation.admin_assignee_id);
+
+    return fullConversation;
+  }
+
+  /**
+   * Every item of an Intercom list endpoint, following its pages
+   */
+  async listAll(path, key) {
+    const items = [];
+    let url = path;
+    let params = {};
+
+    while (url) {
+      const response = await this.client.get(url, { params });
+      items.push(...(response.data[key] || []));
+
+      const next = response.data.pages?.next;
+      if (typeof next === 'string' && next) {
+        url = next;
+        params = {};
+      } else if (next?.starting_after) {
+        params = { starting_after: next.starting_after };
+      } else {
+        url = null;
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Load admin and team names once per run
+   */
+  async getAssigneeDirectory() {
+    if (!this.assigneeDirectory) {
+      this.assigneeDirectory = (async () => {
+        const directory = { admins: new Map(), teams: new Map() };
+
+        try {
+          const [admins, teams] = await Promise.all([
+            this.listAll('/admins', 'admins'),
+            this.listAll('/teams', 'teams')
+          ]);
+
+          admins.forEach(admin => {
+            directory.admins.set(String(admin.id), admin.name || admin.email || '');
+          });
+          teams.forEach(team => {
+            directory.teams.set(String(team.id), team.name || '');
+          });
+
+          logger.info('Loaded assignee directory', {
+            adminCount: directory.admins.size,
+            teamCount: directory.teams.size
+          });
+        } catch (error) {
+          logger.warn('Failed to load admins and teams, looking assignees up by ID', {
+            error: error.message
+          });
+        }
+
+        return directory;
+      })();
+    }
+
+    return this.assigneeDirectory;
+  }
+
+  /**
+   * Name of an admin or team ('admins' or 'teams'). Assignees missing from the
+   * directory are fetched by ID once; '' when there is no assignee or no name.
+   */
+  async getAssigneeName(kind, assigneeId) {
+    if (assigneeId === null || assigneeId === undefined || assigneeId === '') {
+      return '';
+    }
+
+    const id = String(assigneeId);
+    const names = (await this.getAssigneeDirectory())[kind];
+
+    if (!names.has(id)) {
+      names.set(id, this.client.get(`/${kind}/${id}`)
+        .then(response => response.data.name || response.data.email || '')
+        .catch(error => {
+          logger.warn('Failed to look up assignee', { kind, assigneeId: id, error: error.message });
+          return '';
+        }));
+    }
+
+    return names.get(id);
+  }
+
+  /**
+   * Fetch full details for a list of conversations with bounded concurrency.
+   * Conversations that fail to load are left out and their IDs returned in
+   * failedIds, so callers can retry them.
+   */
+  async fetchConversationDetails(conversations) {
+    const concurrency = config.intercom.concurrency;
+    logger.info(`Fetching details for ${conversations.length} conversations`, { concurrency });
+
+    const failedIds = [];
+    const results = await mapWithConcurrency(conversations, concurrency, async (conversation) => {
+      try {
+        return await this.getConversationWithContact(conversation.id);
+      } catch (error) {
+        // A deleted conversation has nothing left to sync, so it is not a failure
+        if (error.response?.status === 404) {
+          logger.info('Conversation no longer exists, skipping', { conversationId: conversation.id });
+          return null;
+        }
+
+        logger.warn('Failed to fetch full conversation details', { 
+          conversationId: conversation.id, 
+          error: error.message 
+        });
+        failedIds.push(String(conversation.id));
+        return null;
+      }
+    });
+
+    await this.contactCache.save();
+
+    return {
+      conversations: results.filter(conversation => conversation !== null),
+      failedIds
+    };
+  }
+
+
+  /**
+   * Get conversations with full transcripts (limited to specified count).
+   * Progress is checkpointed after every page so an interrupted run can be
+   * continued with `resume: true`. `onPage` receives each page's transcripts
+   * before they are written to CSV.
    */
-  async getAllConversationsWithTranscripts(limit = null, csvExporter = null) {
+  async getAllConversationsWithTranscripts(limit = null, csvExporter = null, options = {}) {
+    const { resume = false, onPage = null } = options;
+    const checkpoint = new ExtractionCheckpoint(config.output.checkpointPath);
     const conversations = [];
-    const processedConversationIds = new Set(); // Track processed IDs to prevent duplicates
+    const seenConversationIds = new Set(); // Track IDs seen in this run to detect repeated pages
+    let processedCount = 0; // Conversations fully saved, persisted in the checkpoint
+    let pageConversationIds = new Set(); // Conversations already done on the page at the current cursor
+    let failedConversationIds = new Set(); // Conversations whose details failed to load, retried on resume
+    let exportedConversationIds = new Set(); // Conversations already in the CSV when resuming
     let startingAfter = null;
     let hasMore = true;
     let totalProcessed = 0;
@@ -187,14 +469,102 @@ class IntercomService {
     let pageCount = 0;
 
     logger.info(`Starting to fetch conversations with transcripts${limit ? ` (limit: ${limit})` : ' (no limit)'}`);
+
+    if (resume) {
+      const saved = await checkpoint.load();
+      if (saved) {
+        startingAfter = saved.startingAfter;
+        processedCount = saved.processedCount;
+        pageConversationIds = new Set(saved.pageConversationIds);
+        failedConversationIds = new Set(saved.failedConversationIds);
+        pageCount = saved.pageCount;
+        hasMore = !saved.pagesComplete;
+        console.log(`⏩ Resuming extraction after page ${pageCount} (${processedCount} conversations already processed)`);
+      } else {
+        logger.warn('No extraction checkpoint found, starting from the first page');
+      }
+    }
+
     console.log(`🔄 Starting full extraction from Intercom...`);
 
     // Initialize CSV if exporter is provided
     if (csvExporter) {
       await csvExporter.initializeCSV();
+      // A run can stop after a page reached the CSV but before its checkpoint was saved
+      if (resume) {
+        exportedConversationIds = await csvExporter.readConversationIds();
+      }
       console.log(`💾 Initialized CSV file for incremental saving`);
     }
 
+    // Fetch full details for a batch of conversations, then upload and save those
+    // with user messages. Conversations that fail to load stay out of the processed
+    // count and are kept for a retry.
+    const exportConversations = async (conversationsToProcess) => {
+      const { conversations: fullConversations, failedIds } = await this.fetchConversationDetails(conversationsToProcess);
+      if (failedIds.length > 0) {
+        logger.warn(`Could not fetch details for ${failedIds.length} conversations, they will be retried`, { failedIds });
+      }
+
+      // Filter conversations to only include those with user messages
+      const conversationsWithUserMessages = fullConversations.filter(conversation =>
+        this.hasUserMessages(conversation)
+      );
+
+      totalProcessed += fullConversations.length;
+      conversations.push(...conversationsWithUserMessages);
+
+      logger.info(`Filtered conversations: ${fullConversations.length} total, ${conversationsWithUserMessages.length} with user messages`);
+
+      if (csvExporter || onPage) {
+        const transcripts = conversationsWithUserMessages
+          .map(conversation => this.extractTranscriptData(conversation))
+          .filter(transcript => transcript !== null);
+
+        if (onPage && transcripts.length > 0) {
+          await onPage(transcripts);
+        }
+
+        // Save the page in one write, once it has been uploaded
+        if (csvExporter) {
+          const unsaved = transcripts.filter(transcript => !exportedConversationIds.has(String(transcript.conversationId)));
+          await csvExporter.appendTranscripts(unsaved);
+          totalSaved += unsaved.length;
+
+          // Progress reporting for incremental saving
+          if (totalSaved % 100 === 0 || totalSaved === transcripts.length) {
+            console.log(`✅ Processed ${totalProcessed} conversations, saved ${totalSaved} to CSV`);
+          }
+        }
+      }
+
+      const failed = new Set(failedIds);
+      conversationsToProcess.forEach(conversation => {
+        const id = String(conversation.id);
+        if (failed.has(id)) {
+          failedConversationIds.add(id);
+        } else {
+          failedConversationIds.delete(id);
+          pageConversationIds.add(conversation.id);
+          processedCount++;
+        }
+      });
+    };
+
+    // Conversations that failed to load on the earlier run are retried first
+    if (failedConversationIds.size > 0) {
+      console.log(`🔁 Retrying ${failedConversationIds.size} conversations whose details could not be fetched`);
+      try {
+        await exportConversations(Array.from(failedConversationIds, id => ({ id })));
+        await checkpoint.save({ startingAfter, processedCount, pageConversationIds, pageCount, failedConversationIds, pagesComplete: !hasMore });
+      } catch (error) {
+        if (csvExporter) {
+          await csvExporter.closeCSV();
+        }
+        throw error;
+      }
+    }
+
     while (hasMore && (limit === null || conversations.length < limit)) {
       try {
         pageCount++;
@@ -209,16 +579,23 @@ class IntercomService {
         logger.info(`Fetched ${response.conversations.length} conversations from page ${pageCount}`);
 
         // Check for duplicate conversations
+        let repeatedCount = 0;
         const newConversations = response.conversations.filter(conv => {
-          if (processedConversationIds.has(conv.id)) {
+          if (seenConversationIds.has(conv.id)) {
             logger.warn(`Duplicate conversation found: ${conv.id}`);
+            repeatedCount++;
+            return false;
+          }
+          seenConversationIds.add(conv.id);
+
+          if (pageConversationIds.has(conv.id)) {
+            logger.debug(`Skipping conversation processed in a previous run: ${conv.id}`);
             return false;
           }
-          processedConversationIds.add(conv.id);
           return true;
         });
 
-        if (newConversations.length === 0) {
+        if (repeatedCount === response.conversations.length) {
           logger.warn('No new conversations found on this page, stopping extraction');
           hasMore = false;
           break;
@@ -230,62 +607,7 @@ class IntercomService {
         const remainingNeeded = limit ? limit - conversations.length : newConversations.length;
         const conversationsToProcess = limit ? newConversations.slice(0, remainingNeeded) : newConversations;
 
-        // Get full details for each conversation
-        const conversationPromises = conversationsToProcess.map(async (conversation) => {
-          try {
-            const fullConversation = await this.getConversation(conversation.id);
-            
-            // Fetch contact details for device information if contact exists
-            if (fullConversation.contacts?.contacts?.[0]?.id) {
-              try {
-                const contact = await this.getContact(fullConversation.contacts.contacts[0].id);
-                // Merge contact data into conversation for easier access
-                fullConversation.contactDetails = contact;
-              } catch (contactError) {
-                logger.warn('Failed to fetch contact details', { 
-                  contactId: fullConversation.contacts.contacts[0].id,
-                  error: contactError.message 
-                });
-              }
-            }
-            
-            return fullConversation;
-          } catch (error) {
-            logger.warn('Failed to fetch full conversation', { 
-              conversationId: conversation.id,
-              error: error.message 
-            });
-            return conversation; // Return basic conversation data if full fetch fails
-          }
-        });
-
-        const fullConversations = await Promise.all(conversationPromises);
-        
-        // Filter conversations to only include those with user messages
-        const conversationsWithUserMessages = fullConversations.filter(conversation => 
-          this.hasUserMessages(conversation)
-        );
-        
-        totalProcessed += fullConversations.length;
-        conversations.push(...conversationsWithUserMessages);
-        
-        logger.info(`Filtered conversations: ${fullConversations.length} total, ${conversationsWithUserMessages.length} with user messages`);
-        
-        // Process and save each conversation incrementally
-        if (csvExporter) {
-          for (const conversation of conversationsWithUserMessages) {
-            const transcript = this.extractTranscriptData(conversation);
-            if (transcript) {
-              await csvExporter.appendTranscript(transcript);
-              totalSaved++;
-            }
-          }
-          
-          // Progress reporting for incremental saving
-          if (totalSaved % 100 === 0 || totalSaved === conversationsWithUserMessages.length) {
-            console.log(`✅ Processed ${totalProcessed} conversations, saved ${totalSaved} to CSV`);
-          }
-        }
+        await exportConversations(conversationsToProcess);
         
         // Progress reporting
         if (conversations.length % 100 === 0 || conversations.length === 1) {
@@ -295,6 +617,7 @@ class IntercomService {
         // Check if we've reached the limit
         if (limit && conversations.length >= limit) {
           logger.info(`Reached limit of ${limit} conversations`);
+          await checkpoint.save({ startingAfter, processedCount, pageConversationIds, pageCount: pageCount - 1, failedConversationIds });
           break;
         }
 
@@ -302,17 +625,34 @@ class IntercomService {
         if (response.pages && response.pages.next && response.pages.next.starting_after) {
           startingAfter = response.pages.next.starting_after;
           logger.info(`Next page will start after cursor: ${startingAfter}`);
+          pageConversationIds = new Set();
+          await checkpoint.save({ startingAfter, processedCount, pageCount, failedConversationIds });
         } else {
           logger.info('No more pages available');
           hasMore = false;
         }
-
-        // Add a small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 100));
-
       } catch (error) {
         logger.error('Failed to fetch conversations page', { pageCount, error: error.message });
-        hasMore = false;
+
+        // Keep the cursor of the failed page so a resumed run retries it
+        await checkpoint.save({ startingAfter, processedCount, pageConversationIds, pageCount: pageCount - 1, failedConversationIds });
+
+        if (csvExporter) {
+          await csvExporter.closeCSV();
+        }
+
+        console.log(`⚠️  Extraction stopped at page ${pageCount}. Run again with --resume to continue from here.`);
+        throw error;
+      }
+    }
+
+    // Once every page is done, the checkpoint is only kept for conversations still to retry
+    if (!hasMore) {
+      if (failedConversationIds.size > 0) {
+        await checkpoint.save({ startingAfter, processedCount, pageCount, failedConversationIds, pagesComplete: true });
+        console.log(`⚠️  ${failedConversationIds.size} conversations could not be fetched. Run again with --resume to retry them.`);
+      } else {
+        await checkpoint.clear();
       }
     }
 
@@ -322,117 +662,30 @@ class IntercomService {
       console.log(`💾 Closed CSV file. Total saved: ${totalSaved} conversations`);
     }
 
-    logger.info(`Completed fetching conversations. Total: ${conversations.length}`);
+    logger.info(`Completed fetching conversations. Total: ${conversations.length}`, { failedCount: failedConversationIds.size });
     console.log(`🎉 Extraction complete! Processed ${totalProcessed} conversations, found ${conversations.length} with user messages`);
     return conversations;
   }
 
   /**
-   * Get conversations since a timestamp with full transcript data and metadata
+   * Get conversations since a timestamp with full transcript data and metadata,
+   * plus the IDs of those whose details could not be fetched
    */
-  async getConversationsWithTranscriptsSince(sinceTimestamp, limit = 1000) {
+  async getConversationsWithTranscriptsSince(sinceTimestamp, options = {}) {
     try {
       logger.info('Fetching conversations with transcripts since timestamp', { 
         sinceTimestamp, 
         sinceDate: new Date(sinceTimestamp * 1000).toISOString(),
-        limit 
+        ...options
       });
 
-      const conversations = [];
-      let page = 1;
-      let startingAfter = null;
-      let hasMore = true;
+      const matchingConversations = await this.getConversationsSince(sinceTimestamp, options);
+      const { conversations, failedIds } = await this.fetchConversationDetails(matchingConversations);
 
-      while (hasMore && conversations.length < limit) {
-        const response = await this.getConversations(page, 50, startingAfter);
-        
-        if (!response.conversations || response.conversations.length === 0) {
-          logger.info('No more conversations found');
-          break;
-        }
-
-        // Filter conversations by timestamp
-        const filteredConversations = response.conversations.filter(conversation => {
-          const updatedAt = parseInt(conversation.updated_at);
-          return updatedAt >= sinceTimestamp;
-        });
-
-        // If we find conversations older than our timestamp, we can stop
-        if (filteredConversations.length < response.conversations.length) {
-          logger.info('Found conversations older than timestamp, stopping pagination');
-          
-          // Fetch full details for the filtered conversations
-          for (const conversation of filteredConversations) {
-            try {
-              const fullConversation = await this.getConversation(conversation.id);
-              
-              // Fetch contact details if available
-              if (fullConversation.contacts?.contacts?.[0]?.id) {
-                const contactId = fullConversation.contacts.contacts[0].id;
-                try {
-                  const contactDetails = await this.getContact(contactId);
-                  fullConversation.contactDetails = contactDetails;
-                } catch (contactError) {
-                  logger.warn('Failed to fetch contact details', { 
-                    contactId, 
-                    error: contactError.message 
-                  });
-                }
-              }
-              
-              conversations.push(fullConversation);
-            } catch (error) {
-              logger.warn('Failed to fetch full conversation details', { 
-                conversationId: conversation.id, 
-                error: error.message 
-              });
-            }
-          }
-          break;
-        }
-
-        // Fetch full details for all conversations in this page
-        for (const conversation of filteredConversations) {
-          try {
-            const fullConversation = await this.getConversation(conversation.id);
-            
-            // Fetch contact details if available
-            if (fullConversation.contacts?.contacts?.[0]?.id) {
-              const contactId = fullConversation.contacts.contacts[0].id;
-              try {
-                const contactDetails = await this.getContact(contactId);
-                fullConversation.contactDetails = contactDetails;
-              } catch (contactError) {
-                logger.warn('Failed to fetch contact details', { 
-                  contactId, 
-                  error: contactError.message 
-                });
-              }
-            }
-            
-            conversations.push(fullConversation);
-          } catch (error) {
-            logger.warn('Failed to fetch full conversation details', { 
-              conversationId: conversation.id, 
-              error: error.message 
-            });
-          }
-        }
-
-        // Check if we have more pages
-        if (response.pages && response.pages.next) {
-          startingAfter = response.pages.next.starting_after;
-          page++;
-        } else {
-          hasMore = false;
-        }
-
-        // Add a small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
-
-      logger.info(`Found ${conversations.length} conversations with transcripts since timestamp`);
-      return conversations;
+      logger.info(`Found ${conversations.length} conversations with transcripts since timestamp`, {
+        failedCount: failedIds.length
+      });
+      return { conversations, failedIds };
 
     } catch (error) {
       logger.error('Failed to fetch conversations with transcripts since timestamp', { 
@@ -447,107 +700,104 @@ class IntercomService {
    * Check if a conversation contains user messages
    */
   hasUserMessages(conversation) {
-    if (!conversation || !conversation.conversation_parts) {
+    if (!conversation) {
       return false;
     }
 
-    const messages = conversation.conversation_parts.conversation_parts || [];
-    return messages.some(part => part.author?.type === 'user');
+    return this.getUserMessageParts(conversation).length > 0;
   }
 
   /**
-   * Extract transcript data from a conversation
+   * Get the opening message of a conversation shaped like a conversation part.
+   * Intercom keeps it in `source` (`conversation_message` in older API versions),
+   * not in `conversation_parts`.
    */
-  extractTranscriptData(conversation) {
-    if (!conversation || !conversation.conversation_parts) {
+  getOpeningMessagePart(conversation) {
+    const source = conversation?.source || conversation?.conversation_message;
+    if (!source || !source.body) {
       return null;
     }
 
-    const messages = conversation.conversation_parts.conversation_parts || [];
-    
-    // Filter to only include user messages
-    const userMessages = messages.filter(part => part.author?.type === 'user');
-    
-    if (userMessages.length === 0) {
-      return null; // No user messages in this conversation
+    return {
+      id: source.id,
+      part_type: 'source',
+      body: source.body,
+      author: source.author,
+      created_at: conversation.created_at
+    };
+  }
+
+  /**
+   * Get every message in the conversation in order, starting with the opening message
+   */
+  getMessageParts(conversation) {
+    const openingMessage = this.getOpeningMessagePart(conversation);
+    const parts = conversation?.conversation_parts?.conversation_parts || [];
+    return openingMessage ? [openingMessage, ...parts] : parts;
+  }
+
+  /**
+   * Get the messages written by the user, including the opening message
+   */
+  getUserMessageParts(conversation) {
+    return this.getMessageParts(conversation).filter(part => isCustomerAuthor(part.author?.type));
+  }
+
+  /**
+   * Counts of what was redacted since the last reset, when redaction counts are reported
+   */
+  getRedactionStats() {
+    return this.piiRedactor && config.redaction.reportCounts ? this.piiRedactor.getStats() : null;
+  }
+
+  /**
+   * Start counting redactions for a new run
+   */
+  resetRedactionStats() {
+    this.piiRedactor?.resetStats();
+  }
+
+  /**
+   * Extract transcript data from a conversation, with personal data redacted
+   */
+  extractTranscriptData(conversation) {
+    if (!conversation) {
+      return null;
     }
 
-    // Common stock responses to filter out
-    const stockResponses = [
-      'Not just yet, thank you.',
-      'No, thanks.',
-      'Yes, please.',
-      'I have a question.',
-      'It sounds great, please send it over.',
-      'Thank you.',
-      'Thanks.',
-      'No thank you.',
-      'No, thank you.', // Added the version with comma
-      'Yes thank you.',
-      'Please send it over.',
-      'Please send it.',
-      'Send it over.',
-      'Send it please.',
-      'I would like to receive it.',
-      'I would like to receive the catalogue.',
-      'I would like to receive the catalog.',
-      'Please send me the catalogue.',
-      'Please send me the catalog.',
-      'I would be interested in receiving a catalogue.',
-      'I would be interested in receiving a catalog.',
-      'I would be interested in receiving a cataloque.',
-      'I would be interested in receiving a cataloque. My name is',
-      'I would be interested in receiving a cataloque. My name is A',
-      'I would be interested in receiving a cataloque. My name is A Lawson',
-      'Yes, please do that.',
-      'Maybe – what\'s in it?', // Fixed: using en dash (–) instead of hyphen (-)
-      'Please add these',
-      'Sound great, send it over',
-      'Yes, everything makes sense – thank you.',
-      'Yes, I have a question.',
-      'I have a question.',
-      'I see, thank you.',
-      'Thank you for the info.'
-    ];
+    const includeAgentParts = config.transcript.mode === 'dialogue';
+    const allParts = this.getMessageParts(conversation);
+    const transcriptParts = [];
+    let userMessageCount = 0;
 
-    // Filter out stock responses
-    // console.log('DEBUG: Processing', userMessages.length, 'user messages');
-    const filteredUserMessages = userMessages.filter(part => {
-      const messageBody = part.body || '';
-      const cleanBody = messageBody.replace(/<[^>]*>/g, '').trim(); // Remove HTML tags
-      
-      // Check if the message is a stock response (normalized comparison)
-      const normalizedCleanBody = cleanBody
-        .toLowerCase()
-        .replace(/[\u2018\u2019]/g, "'") // Normalize apostrophes
-        .replace(/[\u201C\u201D]/g, '"') // Normalize quotes
-        .replace(/\s+/g, ' ')
-        .trim();
-      
-      const isStock = stockResponses.some(stockResponse => {
-        const normalizedStockResponse = stockResponse
-          .toLowerCase()
-          .replace(/[\u2018\u2019]/g, "'") // Normalize apostrophes
-          .replace(/[\u201C\u201D]/g, '"') // Normalize quotes
-          .replace(/\s+/g, ' ')
-          .trim();
-        const matches = normalizedCleanBody === normalizedStockResponse;
-        if (cleanBody.includes('Maybe') || cleanBody.includes('everything makes sense')) {
-          // console.log('DEBUG: Message:', JSON.stringify(cleanBody));
-          // console.log('DEBUG: Normalized:', JSON.stringify(normalizedCleanBody));
-          // console.log('DEBUG: Stock response:', JSON.stringify(stockResponse));
-          // console.log('DEBUG: Normalized stock:', JSON.stringify(normalizedStockResponse));
-          // console.log('DEBUG: Matches:', matches);
-          // console.log('---');
+    allParts.forEach(part => {
+      const isUser = isCustomerAuthor(part.author?.type);
+      const speaker = getSpeakerLabel(part.author?.type);
+
+      // User mode keeps only user messages; dialogue mode adds agent and bot
+      // replies but never internal notes
+      if (!isUser && (!includeAgentParts || !speaker || part.part_type === 'note')) {
+        return;
+      }
+
+      // Convert HTML bodies to plain text
+      const body = htmlToText(part.body);
+      if (!body) {
+        return;
+      }
+
+      // Filter out stock responses (rules live in the stock response config file)
+      if (isUser) {
+        if (this.stockResponseFilter.isStockResponse(body)) {
+          return;
         }
-        return matches;
-      });
-      
-      return !isStock;
+        userMessageCount++;
+      }
+
+      transcriptParts.push({ ...part, body, speaker });
     });
-    // console.log('DEBUG: After filtering,', filteredUserMessages.length, 'messages remain');
     
-    if (filteredUserMessages.length === 0) {
+    if (userMessageCount === 0) {
       return null; // No meaningful user messages after filtering
     }
 
@@ -566,11 +816,20 @@ class IntercomService {
       referrer: contactDetails.referrer || ''
     };
     
-    return {
+    // Detect the language from what the customer wrote, with the browser language as a hint
+    const userText = transcriptParts
+      .filter(part => isCustomerAuthor(part.author?.type))
+      .map(part => part.body)
+      .join('\n');
+    const language = config.language.detection
+      ? detectLanguage(userText, { hint: deviceInfo.browserLanguage, fallback: config.language.fallback })
+      : normalizeLanguageCode(deviceInfo.browserLanguage) || config.language.fallback;
+
+    const transcript = {
       conversationId: conversation.id,
       createdAt: conversation.created_at,
       updatedAt: conversation.updated_at,
-      subject: conversation.conversation_message?.subject || '',
+      subject: htmlToText((conversation.source || conversation.conversation_message)?.subject),
       sourceUrl: sourceUrl,
       locationCity: location.city || '',
       locationRegion: location.region || '',
@@ -581,10 +840,21 @@ class IntercomService {
       browserLanguage: deviceInfo.browserLanguage,
       os: deviceInfo.os,
       referrer: deviceInfo.referrer,
-      messages: filteredUserMessages.map(part => ({
+      language,
+      tags: (conversation.tags?.tags || []).map(tag => tag.name).filter(Boolean).join(', '),
+      customAttributes: conversation.custom_attributes || {},
+      teamAssignee: conversation.teamAssigneeName || String(conversation.team_assignee_id || ''),
+      adminAssignee: conversation.adminAssigneeName || String(conversation.admin_assignee_id || ''),
+      state: conversation.state || '',
+      priority: conversation.priority || '',
+      sourceType: (conversation.source || conversation.conversation_message)?.type || '',
+      csatRating: conversation.conversation_rating?.rating ?? null,
+      csatRemark: (conversation.conversation_rating?.remark || '').trim(),
+      messages: transcriptParts.map(part => ({
         id: part.id,
         type: part.part_type,
         body: part.body || '',
+        speaker: part.speaker,
         author: {
           type: part.author?.type || '',
           id: part.author?.id || '',
@@ -593,6 +863,8 @@ class IntercomService {
         createdAt: part.created_at
       }))
     };
+
+    return this.piiRedactor ? this.piiRedactor.redactTranscript(transcript) : transcript;
   }
 }
 
@@ -0,0 +1,94 @@
+const logger = require('../utils/logger');
+
+class ConversationQueue {
+  /**
+   * @param {Function} processBatch - async (conversationIds) => result
+   */
+  constructor(processBatch, { flushDelayMs = 60000, maxBatchSize = 100, maxAttempts = 3 } = {}) {
+    this.processBatch = processBatch;
+    this.flushDelayMs = flushDelayMs;
+    this.maxBatchSize = maxBatchSize;
+    this.maxAttempts = maxAttempts;
+    this.pending = new Map(); // conversationId -> attempts so far
+    this.timer = null;
+    this.processing = false;
+  }
+
+  /**
+   * Queue a conversation for the next flush; repeated events for the same conversation collapse into one
+   */
+  enqueue(conversationId) {
+    if (!this.pending.has(conversationId)) {
+      this.pending.set(conversationId, 0);
+      logger.info('Queued conversation from webhook', { conversationId, queueSize: this.pending.size });
+    }
+
+    if (this.pending.size >= this.maxBatchSize) {
+      this.scheduleFlush(0);
+    } else {
+      this.scheduleFlush(this.flushDelayMs);
+    }
+  }
+
+  scheduleFlush(delayMs) {
+    if (this.timer && delayMs > 0) {
+      return;
+    }
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, delayMs);
+  }
+
+  /**
+   * Process queued conversations; one flush runs at a time
+   */
+  async flush() {
+    if (this.processing || this.pending.size === 0) {
+      return;
+    }
+
+    this.processing = true;
+    const batch = new Map(Array.from(this.pending.entries()).slice(0, this.maxBatchSize));
+    batch.forEach((attempts, conversationId) => this.pending.delete(conversationId));
+    const conversationIds = Array.from(batch.keys());
+
+    try {
+      logger.info(`Processing ${conversationIds.length} queued conversations`);
+      const result = await this.processBatch(conversationIds);
+      logger.info('Processed queued conversations', {
+        conversationCount: conversationIds.length,
+        message: result?.message
+      });
+    } catch (error) {
+      logger.error('Failed to process queued conversations', {
+        conversationCount: conversationIds.length,
+        error: error.message
+      });
+
+      // Put the batch back for another attempt unless it keeps failing
+      batch.forEach((attempts, conversationId) => {
+        if (attempts + 1 < this.maxAttempts) {
+          if (!this.pending.has(conversationId)) {
+            this.pending.set(conversationId, attempts + 1);
+          }
+        } else {
+          logger.error('Dropping conversation after repeated failures', { conversationId, attempts: attempts + 1 });
+        }
+      });
+    } finally {
+      this.processing = false;
+    }
+
+    if (this.pending.size > 0) {
+      this.scheduleFlush(this.flushDelayMs);
+    }
+  }
+
+  size() {
+    return this.pending.size;
+  }
+}
+
+module.exports = ConversationQueue;
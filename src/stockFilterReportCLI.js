@@ -0,0 +1,148 @@
+require('dotenv').config();
+const IntercomService = require('./services/intercom');
+const StockResponseFilter = require('./utils/stockResponseFilter');
+const { mapWithConcurrency } = require('./utils/concurrency');
+const htmlToText = require('./utils/htmlToText');
+const config = require('./config');
+const logger = require('./utils/logger');
+
+class StockFilterReportCLI {
+  constructor(rulesPath = null) {
+    this.intercomService = new IntercomService();
+    this.filter = rulesPath
+      ? StockResponseFilter.fromFile(rulesPath)
+      : this.intercomService.stockResponseFilter;
+  }
+
+  /**
+   * Fetch the most recently updated conversations with their transcripts
+   */
+  async collectSample(sampleSize) {
+    const summaries = [];
+    let page = 1;
+    let startingAfter = null;
+
+    while (summaries.length < sampleSize) {
+      const response = await this.intercomService.getConversations(page, 50, startingAfter);
+      if (!response.conversations || response.conversations.length === 0) {
+        break;
+      }
+
+      summaries.push(...response.conversations);
+
+      if (!response.pages?.next?.starting_after) {
+        break;
+      }
+      startingAfter = response.pages.next.starting_after;
+      page++;
+    }
+
+    const conversations = await mapWithConcurrency(
+      summaries.slice(0, sampleSize),
+      config.intercom.concurrency,
+      async (conversation) => {
+        try {
+          return await this.intercomService.getConversation(conversation.id);
+        } catch (error) {
+          logger.warn('Skipping conversation in sample', { conversationId: conversation.id, error: error.message });
+          return null;
+        }
+      }
+    );
+
+    return conversations.filter(conversation => conversation !== null);
+  }
+
+  /**
+   * Count how many user messages each rule drops on a sample of conversations
+   */
+  async run({ sampleSize = 200, examples = 0 } = {}) {
+    try {
+      console.log(`🔍 Sampling ${sampleSize} recent conversations from Intercom...`);
+      const conversations = await this.collectSample(sampleSize);
+
+      const counts = new Map(this.filter.rules.map(rule => [rule.id, { type: rule.type, dropped: 0, examples: [] }]));
+      let totalMessages = 0;
+      let kept = 0;
+
+      conversations.forEach(conversation => {
+        this.intercomService.getUserMessageParts(conversation).forEach(part => {
+          totalMessages++;
+          const text = htmlToText(part.body);
+          const ruleId = this.filter.findMatchingRule(text);
+
+          if (!ruleId) {
+            kept++;
+            return;
+          }
+
+          const entry = counts.get(ruleId);
+          entry.dropped++;
+          if (entry.examples.length < examples) {
+            entry.examples.push(text);
+          }
+        });
+      });
+
+      const dropped = totalMessages - kept;
+
+      console.log('\n📊 Stock Response Filter Report:');
+      console.log(`   - Conversations sampled: ${conversations.length}`);
+      console.log(`   - User messages: ${totalMessages}`);
+      console.log(`   - Dropped: ${dropped}`);
+      console.log(`   - Kept: ${kept}`);
+
+      console.log('\n📋 Messages dropped per rule:');
+      counts.forEach((entry, ruleId) => {
+        console.log(`   - ${ruleId} (${entry.type}): ${entry.dropped}`);
+        entry.examples.forEach(example => {
+          console.log(`       "${example}"`);
+        });
+      });
+
+      const unusedRules = Array.from(counts.entries())
+        .filter(([, entry]) => entry.dropped === 0)
+        .map(([ruleId]) => ruleId);
+
+      if (unusedRules.length > 0) {
+        console.log(`\n💡 Rules that matched nothing in this sample: ${unusedRules.join(', ')}`);
+      }
+
+      const report = {
+        conversationCount: conversations.length,
+        totalMessages,
+        dropped,
+        kept,
+        rules: Object.fromEntries(Array.from(counts.entries()).map(([ruleId, entry]) => [ruleId, entry.dropped]))
+      };
+
+      logger.info('Stock response filter report completed', report);
+      return report;
+
+    } catch (error) {
+      console.error('❌ Filter report failed:', error.message);
+      logger.error('Filter report failed', { error: error.message });
+      process.exit(1);
+    }
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const sampleSize = parseInt(args.find(arg => arg.startsWith('--sample='))?.split('=')[1] || '200', 10);
+  const examples = parseInt(args.find(arg => arg.startsWith('--examples='))?.split('=')[1] || '0', 10);
+  const rulesPath = args.find(arg => arg.startsWith('--rules='))?.split('=')[1] || null;
+
+  const cli = new StockFilterReportCLI(rulesPath);
+  await cli.run({ sampleSize, examples });
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ CLI failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = StockFilterReportCLI;
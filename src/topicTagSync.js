@@ -0,0 +1,199 @@
+const fs = require('fs');
+const IntercomService = require('./services/intercom');
+const CaplenaService = require('./services/caplena');
+const JsonlQueue = require('./utils/jsonlQueue');
+const config = require('./config');
+const logger = require('./utils/logger');
+
+class TopicTagSync {
+  constructor(mappingPath = config.tagSync.mappingPath) {
+    this.intercomService = new IntercomService();
+    this.caplenaService = new CaplenaService();
+    this.rowManager = this.caplenaService.rowManager;
+    this.mapping = TopicTagSync.loadMapping(mappingPath);
+    this.appliedLog = new JsonlQueue(config.tagSync.appliedLogPath);
+  }
+
+  /**
+   * Load the topic → tag mapping. A mapping matches a topic label (or "*" for
+   * every topic) and optionally a category; "{topic}" and "{category}" in the
+   * tag name are filled in from the topic.
+   */
+  static loadMapping(filePath) {
+    const definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const mappings = (definition.mappings || []).map((mapping, index) => {
+      if (!mapping.topic || !mapping.tag) {
+        throw new Error(`Topic tag mapping ${index + 1} needs a "topic" and a "tag"`);
+      }
+      return {
+        topic: mapping.topic.toLowerCase(),
+        category: mapping.category ? mapping.category.toLowerCase() : null,
+        tag: mapping.tag
+      };
+    });
+
+    return { onlyReviewed: Boolean(definition.onlyReviewed), mappings };
+  }
+
+  /**
+   * Tag name for a Caplena topic, or null if no mapping matches
+   */
+  getTagName(topic) {
+    const label = (topic.label || '').toLowerCase();
+    const category = (topic.category || '').toLowerCase();
+
+    const mapping = this.mapping.mappings.find(candidate =>
+      (candidate.topic === '*' || candidate.topic === label) &&
+      (!candidate.category || candidate.category === category)
+    );
+
+    if (!mapping) {
+      return null;
+    }
+
+    return mapping.tag
+      .replace(/\{topic\}/g, topic.label || '')
+      .replace(/\{category\}/g, topic.category || '')
+      .trim();
+  }
+
+  /**
+   * Tag IDs by name, creating tags that don't exist yet (except on a dry run)
+   */
+  async resolveTagIds(tagNames, { dryRun = false } = {}) {
+    const existing = await this.intercomService.listTags();
+    const tagIds = new Map(existing.map(tag => [tag.name, tag.id]));
+    const created = [];
+
+    for (const name of tagNames) {
+      if (tagIds.has(name)) {
+        continue;
+      }
+      if (dryRun) {
+        created.push(name);
+        continue;
+      }
+      const tag = await this.intercomService.createTag(name);
+      tagIds.set(name, tag.id);
+      created.push(name);
+    }
+
+    return { tagIds, created };
+  }
+
+  /**
+   * Apply the mapped tags for every coded row in the project. Applied tags are
+   * recorded locally so reruns only add what is new.
+   */
+  async syncTags(projectName = 'MRT - Intercom chats', { dryRun = false } = {}) {
+    try {
+      logger.info('Starting topic tag sync', { projectName, dryRun });
+
+      if (!dryRun && !config.intercom.adminId) {
+        throw new Error('INTERCOM_ADMIN_ID is required to tag conversations');
+      }
+
+      // Step 1: Read every coded row from Caplena, across the language projects too
+      const projects = (await this.caplenaService.findRoutedProjects(projectName)).map(({ project }) => project);
+      if (projects.length === 0) {
+        return { success: false, error: `Project not found: ${projectName}` };
+      }
+
+      const projectRows = [];
+      for (const project of projects) {
+        const rows = await this.rowManager.getAllRows(project.id);
+        projectRows.push(...rows.map(row => ({ projectId: project.id, row })));
+      }
+
+      // Step 2: Work out which tags each conversation should get
+      const applied = new Set((await this.appliedLog.readAll())
+        .map(record => `${record.conversationId}|${record.tag}`));
+      const unmappedTopics = new Set();
+      const pending = [];
+      let alreadyApplied = 0;
+
+      projectRows.forEach(({ projectId, row }) => {
+        const conversationId = this.rowManager.extractConversationId(row);
+        if (!conversationId) {
+          return;
+        }
+
+        const tagNames = new Set();
+        this.rowManager.extractCodings(row)
+          .filter(coding => !this.mapping.onlyReviewed || coding.wasReviewed)
+          .forEach(coding => coding.topics.forEach(topic => {
+            const tagName = this.getTagName(topic);
+            if (tagName) {
+              tagNames.add(tagName);
+            } else {
+              unmappedTopics.add(topic.category ? `${topic.category}: ${topic.label}` : topic.label);
+            }
+          }));
+
+        tagNames.forEach(tag => {
+          if (applied.has(`${conversationId}|${tag}`)) {
+            alreadyApplied++;
+          } else {
+            pending.push({ conversationId: String(conversationId), tag, projectId });
+          }
+        });
+      });
+
+      logger.info(`Found ${pending.length} tags to apply`, { alreadyApplied, unmappedTopics: unmappedTopics.size });
+
+      // Step 3: Make sure the tags exist, then apply them
+      const { tagIds, created } = await this.resolveTagIds(new Set(pending.map(item => item.tag)), { dryRun });
+
+      let appliedCount = 0;
+      const errors = [];
+
+      if (!dryRun) {
+        for (const item of pending) {
+          try {
+            await this.intercomService.tagConversation(item.conversationId, tagIds.get(item.tag), config.intercom.adminId);
+            await this.appliedLog.append([{
+              conversationId: item.conversationId,
+              tag: item.tag,
+              tagId: tagIds.get(item.tag),
+              projectId: item.projectId,
+              appliedAt: new Date().toISOString()
+            }]);
+            appliedCount++;
+          } catch (error) {
+            errors.push({ conversationId: item.conversationId, tag: item.tag, error: error.message });
+          }
+        }
+      }
+
+      const summary = {
+        success: errors.length === 0,
+        dryRun,
+        projects,
+        rowCount: projectRows.length,
+        pending,
+        appliedCount,
+        alreadyApplied,
+        createdTags: created,
+        unmappedTopics: Array.from(unmappedTopics).sort(),
+        errors
+      };
+
+      logger.info('Topic tag sync completed', {
+        rowCount: projectRows.length,
+        pendingCount: pending.length,
+        appliedCount,
+        alreadyApplied,
+        createdTags: created.length,
+        failed: errors.length
+      });
+
+      return summary;
+
+    } catch (error) {
+      logger.error('Topic tag sync failed', { error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = TopicTagSync;
@@ -0,0 +1,72 @@
+require('dotenv').config();
+const TopicTagSync = require('./topicTagSync');
+const logger = require('./utils/logger');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const projectName = args.find(arg => arg.startsWith('--project='))?.split('=')[1] || 'MRT - Intercom chats';
+  const mappingPath = args.find(arg => arg.startsWith('--mapping='))?.split('=')[1];
+  const dryRun = args.includes('--dry-run');
+
+  try {
+    const tagSync = new TopicTagSync(mappingPath);
+
+    console.log(dryRun
+      ? '🔍 Starting DRY RUN - working out tags without changing Intercom...'
+      : '🏷️  Writing Caplena topics back to Intercom as tags...');
+
+    const result = await tagSync.syncTags(projectName, { dryRun });
+
+    if (result.error) {
+      console.log('❌ Tag sync failed:', result.error);
+      process.exit(1);
+    }
+
+    console.log(`\n📊 Tag Sync Results (${result.projects.map(project => project.name).join(', ')}):`);
+    console.log(`   - Rows scanned: ${result.rowCount}`);
+    console.log(`   - Tags to apply: ${result.pending.length}`);
+    console.log(`   - Already applied: ${result.alreadyApplied}`);
+    console.log(`   - ${dryRun ? 'Tags to create' : 'Tags created'}: ${result.createdTags.length}`);
+    if (!dryRun) {
+      console.log(`   - Applied: ${result.appliedCount}`);
+      console.log(`   - Failed: ${result.errors.length}`);
+    }
+
+    if (dryRun && result.pending.length > 0) {
+      console.log('\n🏷️  Tags to apply:');
+      result.pending.slice(0, 50).forEach(item => {
+        console.log(`   - Conversation ${item.conversationId}: ${item.tag}`);
+      });
+      if (result.pending.length > 50) {
+        console.log(`   ... and ${result.pending.length - 50} more`);
+      }
+    }
+
+    if (result.unmappedTopics.length > 0) {
+      console.log(`\n💡 ${result.unmappedTopics.length} topics have no tag mapping:`);
+      result.unmappedTopics.forEach(topic => console.log(`   - ${topic}`));
+    }
+
+    if (result.errors.length > 0) {
+      console.log('\n⚠️  Errors:');
+      result.errors.forEach(error => {
+        console.log(`   - Conversation ${error.conversationId} (${error.tag}): ${error.error}`);
+      });
+      process.exit(1);
+    }
+
+    console.log(dryRun ? '\n💡 Run without --dry-run to apply the tags' : '\n✅ Tag sync completed!');
+
+  } catch (error) {
+    logger.error('Tag sync CLI failed', { error: error.message });
+    console.error('❌ Tag sync failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };
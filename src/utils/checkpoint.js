@@ -0,0 +1,90 @@
+const fs = require('fs').promises;
+const writeFileAtomic = require('./writeFileAtomic');
+const logger = require('./logger');
+
+class ExtractionCheckpoint {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Load the saved checkpoint, or null if there is none
+   */
+  async load() {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      const checkpoint = JSON.parse(content);
+
+      // Checkpoints from older versions kept every processed ID
+      const pageConversationIds = checkpoint.pageConversationIds || checkpoint.processedConversationIds || [];
+
+      logger.info('Loaded extraction checkpoint', {
+        filePath: this.filePath,
+        startingAfter: checkpoint.startingAfter,
+        processedCount: checkpoint.processedCount ?? pageConversationIds.length,
+        updatedAt: checkpoint.updatedAt
+      });
+
+      return {
+        startingAfter: checkpoint.startingAfter || null,
+        processedCount: checkpoint.processedCount ?? pageConversationIds.length,
+        pageConversationIds,
+        pageCount: checkpoint.pageCount || 0,
+        failedConversationIds: checkpoint.failedConversationIds || [],
+        pagesComplete: Boolean(checkpoint.pagesComplete),
+        updatedAt: checkpoint.updatedAt
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      logger.error('Failed to load extraction checkpoint', {
+        filePath: this.filePath,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Save pagination state: the cursor, how many conversations are done, the IDs
+   * already done on the page the cursor points at (only set when a run stopped
+   * partway through a page), and the conversations whose details could not be
+   * fetched, to retry on resume. pagesComplete marks a run that went through every
+   * page and only has failed conversations left.
+   */
+  async save({ startingAfter, processedCount, pageConversationIds = [], pageCount, failedConversationIds = [], pagesComplete = false }) {
+    const checkpoint = {
+      startingAfter: startingAfter || null,
+      processedCount,
+      pageConversationIds: Array.from(pageConversationIds),
+      pageCount,
+      failedConversationIds: Array.from(failedConversationIds),
+      pagesComplete,
+      updatedAt: new Date().toISOString()
+    };
+
+    await writeFileAtomic(this.filePath, JSON.stringify(checkpoint));
+
+    logger.debug('Saved extraction checkpoint', {
+      startingAfter: checkpoint.startingAfter,
+      processedCount
+    });
+  }
+
+  /**
+   * Remove the checkpoint once an extraction has completed
+   */
+  async clear() {
+    try {
+      await fs.unlink(this.filePath);
+      logger.info('Cleared extraction checkpoint', { filePath: this.filePath });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = ExtractionCheckpoint;
@@ -0,0 +1,127 @@
+const fs = require('fs').promises;
+const writeFileAtomic = require('./writeFileAtomic');
+const logger = require('./logger');
+
+class ContactCache {
+  constructor({ ttlMs, filePath = null } = {}) {
+    this.ttlMs = ttlMs;
+    this.filePath = filePath;
+    this.entries = new Map();
+    this.pending = new Map();
+    this.loading = null;
+    this.dirty = false;
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  /**
+   * Load cached contacts from disk (only when a file path is configured). Concurrent
+   * first callers share one read.
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.readFromDisk();
+    }
+    return this.loading;
+  }
+
+  async readFromDisk() {
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      const stored = JSON.parse(content);
+
+      // Never replace a contact fetched while the file was being read
+      Object.entries(stored).forEach(([contactId, entry]) => {
+        if (!this.isExpired(entry) && !this.entries.has(contactId)) {
+          this.entries.set(contactId, entry);
+        }
+      });
+
+      logger.info(`Loaded ${this.entries.size} cached contacts`, { filePath: this.filePath });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to load contact cache, starting empty', {
+          filePath: this.filePath,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Persist the cache to disk if anything changed
+   */
+  async save() {
+    if (!this.filePath || !this.dirty) {
+      return;
+    }
+
+    try {
+      // Contacts include location and browser details, so only the owner may read the file.
+      // The atomic write creates a fresh file, so the mode applies to existing caches too.
+      await writeFileAtomic(this.filePath, JSON.stringify(Object.fromEntries(this.entries)), { encoding: 'utf8', mode: 0o600 });
+      this.dirty = false;
+      logger.debug('Saved contact cache', { filePath: this.filePath, size: this.entries.size });
+    } catch (error) {
+      logger.warn('Failed to save contact cache', {
+        filePath: this.filePath,
+        error: error.message
+      });
+    }
+  }
+
+  isExpired(entry) {
+    return !entry || Date.now() - entry.cachedAt > this.ttlMs;
+  }
+
+  /**
+   * Return a cached contact, or fetch it once even when requested concurrently
+   */
+  async getOrFetch(contactId, fetchContact) {
+    await this.load();
+
+    const entry = this.entries.get(contactId);
+    if (entry && !this.isExpired(entry)) {
+      this.stats.hits++;
+      return entry.contact;
+    }
+
+    if (this.pending.has(contactId)) {
+      this.stats.hits++;
+      return this.pending.get(contactId);
+    }
+
+    this.stats.misses++;
+    const request = fetchContact(contactId)
+      .then(contact => {
+        this.entries.set(contactId, { contact, cachedAt: Date.now() });
+        this.dirty = true;
+        return contact;
+      })
+      .finally(() => {
+        this.pending.delete(contactId);
+      });
+
+    this.pending.set(contactId, request);
+    return request;
+  }
+
+  /**
+   * Cache statistics for run summaries
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      lookups,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 10 : 0,
+      size: this.entries.size
+    };
+  }
+}
+
+module.exports = ContactCache;
@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+
+const CONTENT_HASH_REF = 'content_hash';
+
+/**
+ * Whether a row column holds analysed text (sent with was_reviewed, or typed as such by Caplena)
+ */
+function isAnalysedColumn(column) {
+  return column.ref !== CONTENT_HASH_REF &&
+    (column.type === 'text_to_analyze' || Object.prototype.hasOwnProperty.call(column, 'was_reviewed'));
+}
+
+/**
+ * Hash the analysed text columns of a row, so a changed transcript can be detected
+ */
+function computeContentHash(columns = []) {
+  const content = columns
+    .filter(isAnalysedColumn)
+    .map(column => `${column.ref}=${column.value ?? ''}`)
+    .sort()
+    .join('\n');
+
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+module.exports = {
+  CONTENT_HASH_REF,
+  isAnalysedColumn,
+  computeContentHash
+};
@@ -0,0 +1,180 @@
+const fs = require('fs');
+
+const BOM = '\uFEFF';
+
+function checkDelimiter(delimiter) {
+  if (typeof delimiter !== 'string' || delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+    throw new Error(`CSV delimiter must be a single character other than a quote or line break, got ${JSON.stringify(delimiter)}`);
+  }
+}
+
+/**
+ * Encode one field (RFC 4180). Fields containing the delimiter, a quote or a line
+ * break are always quoted; quoteAll quotes every field.
+ */
+function encodeField(value, { delimiter = ',', quoteAll = false } = {}) {
+  const text = value === null || value === undefined ? '' : String(value);
+
+  if (quoteAll || text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Encode one record, including its line ending. A record of one empty field is
+ * quoted so it is not read back as a blank line.
+ */
+function encodeRow(values, { delimiter = ',', quoteAll = false, newline = '\r\n' } = {}) {
+  checkDelimiter(delimiter);
+  const fields = values.map(value => encodeField(value, { delimiter, quoteAll }));
+
+  if (fields.length === 1 && fields[0] === '') {
+    return `""${newline}`;
+  }
+  return fields.join(delimiter) + newline;
+}
+
+/**
+ * Incremental CSV parser (RFC 4180). Feed it text in chunks of any size with push()
+ * and it returns the records completed so far; end() returns the last one. Quoted
+ * fields keep their line breaks and escaped quotes exactly, a leading BOM is
+ * dropped, and records may end in CRLF, LF or CR.
+ */
+class CsvParser {
+  constructor({ delimiter = ',' } = {}) {
+    checkDelimiter(delimiter);
+    this.delimiter = delimiter;
+    this.record = [];
+    this.field = '';
+    this.inQuotes = false;
+    // A quote inside a quoted field: either an escaped quote or the closing quote
+    this.pendingQuote = false;
+    // The record has a quoted field, so it is not a blank line even if every field is empty
+    this.quotedRecord = false;
+    this.afterCR = false;
+    this.started = false;
+    this.line = 1;
+  }
+
+  push(chunk) {
+    const records = [];
+    let text = chunk;
+
+    if (!this.started && text.length > 0) {
+      this.started = true;
+      if (text.startsWith(BOM)) {
+        text = text.slice(1);
+      }
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      // LF straight after a CR record end belongs to the same CRLF
+      if (this.afterCR) {
+        this.afterCR = false;
+        if (char === '\n') {
+          continue;
+        }
+      }
+
+      if (this.pendingQuote) {
+        this.pendingQuote = false;
+        if (char === '"') {
+          this.field += '"';
+          continue;
+        }
+        this.inQuotes = false;
+      }
+
+      if (this.inQuotes) {
+        if (char === '"') {
+          this.pendingQuote = true;
+        } else {
+          if (char === '\n') {
+            this.line++;
+          }
+          this.field += char;
+        }
+        continue;
+      }
+
+      if (char === '"' && this.field === '') {
+        this.inQuotes = true;
+        this.quotedRecord = true;
+      } else if (char === this.delimiter) {
+        this.record.push(this.field);
+        this.field = '';
+      } else if (char === '\r' || char === '\n') {
+        this.afterCR = char === '\r';
+        this.line++;
+        const record = this.finishRecord();
+        if (record) {
+          records.push(record);
+        }
+      } else {
+        // Lenient: a stray quote in an unquoted field, or text after a closing quote, is kept as is
+        this.field += char;
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Finish parsing and return the last record, if the input did not end in a line break
+   */
+  end() {
+    if (this.inQuotes && !this.pendingQuote) {
+      throw new Error(`Unterminated quoted field in CSV record ending at line ${this.line}`);
+    }
+    this.pendingQuote = false;
+    this.inQuotes = false;
+
+    const record = this.finishRecord();
+    return record ? [record] : [];
+  }
+
+  finishRecord() {
+    this.record.push(this.field);
+    const record = this.record;
+    const blankLine = record.length === 1 && record[0] === '' && !this.quotedRecord;
+
+    this.record = [];
+    this.field = '';
+    this.quotedRecord = false;
+
+    return blankLine ? null : record;
+  }
+}
+
+/**
+ * Parse a whole CSV string into records
+ */
+function parseCsv(text, options = {}) {
+  const parser = new CsvParser(options);
+  return [...parser.push(text), ...parser.end()];
+}
+
+/**
+ * Stream the records of a CSV file without reading it into memory at once
+ */
+async function* readCsvRecords(filePath, options = {}) {
+  const parser = new CsvParser(options);
+  const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+
+  for await (const chunk of stream) {
+    yield* parser.push(chunk);
+  }
+  yield* parser.end();
+}
+
+module.exports = {
+  BOM,
+  CsvParser,
+  encodeField,
+  encodeRow,
+  parseCsv,
+  readCsvRecords
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BOM, CsvParser, encodeField, encodeRow, parseCsv, readCsvRecords } = require('./csv');
+
+describe('encodeField', () => {
+  test('leaves plain values unquoted', () => {
+    expect(encodeField('hello')).toBe('hello');
+    expect(encodeField(42)).toBe('42');
+    expect(encodeField(null)).toBe('');
+  });
+
+  test('quotes values with a delimiter, quote or line break and doubles quotes', () => {
+    expect(encodeField('a,b')).toBe('"a,b"');
+    expect(encodeField('say "hi"')).toBe('"say ""hi"""');
+    expect(encodeField('line\nbreak')).toBe('"line\nbreak"');
+    expect(encodeField('a\tb', { delimiter: '\t' })).toBe('"a\tb"');
+  });
+
+  test('quotes every value with quoteAll', () => {
+    expect(encodeField('plain', { quoteAll: true })).toBe('"plain"');
+  });
+});
+
+describe('encodeRow', () => {
+  test('joins fields and ends the record with CRLF', () => {
+    expect(encodeRow(['a', 'b,c', ''])).toBe('a,"b,c",\r\n');
+  });
+
+  test('quotes a record of one empty field so it survives a round trip', () => {
+    expect(encodeRow([''])).toBe('""\r\n');
+    expect(parseCsv(encodeRow(['header']) + encodeRow(['']) + encodeRow(['last']))).toEqual([['header'], [''], ['last']]);
+  });
+
+  test('rejects invalid delimiters', () => {
+    expect(() => encodeRow(['a'], { delimiter: '"' })).toThrow('CSV delimiter');
+    expect(() => encodeRow(['a'], { delimiter: ';;' })).toThrow('CSV delimiter');
+  });
+});
+
+describe('parseCsv', () => {
+  test('keeps line breaks inside quoted fields', () => {
+    expect(parseCsv('id,body\r\n1,"first line\r\nsecond line\nthird"\r\n')).toEqual([
+      ['id', 'body'],
+      ['1', 'first line\r\nsecond line\nthird']
+    ]);
+  });
+
+  test('unescapes doubled quotes', () => {
+    expect(parseCsv('"He said ""no""",""""\n')).toEqual([['He said "no"', '"']]);
+  });
+
+  test('accepts CRLF, LF and CR record endings and skips blank lines', () => {
+    expect(parseCsv('a\r\nb\nc\rd\n\n')).toEqual([['a'], ['b'], ['c'], ['d']]);
+  });
+
+  test('returns the last record without a trailing line break', () => {
+    expect(parseCsv('a,b\n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  test('drops a leading byte order mark', () => {
+    expect(parseCsv(`${BOM}id,name\n1,x\n`)).toEqual([['id', 'name'], ['1', 'x']]);
+  });
+
+  test('parses other delimiters', () => {
+    expect(parseCsv('a\tb,c\n', { delimiter: '\t' })).toEqual([['a', 'b,c']]);
+  });
+
+  test('round-trips encoded rows', () => {
+    const rows = [['id', 'text'], ['1', 'comma, "quote"\r\nand newline'], ['2', '']];
+    expect(parseCsv(rows.map(row => encodeRow(row)).join(''))).toEqual(rows);
+  });
+
+  test('throws on an unterminated quoted field', () => {
+    expect(() => parseCsv('a,"open\n')).toThrow('Unterminated quoted field');
+  });
+});
+
+describe('CsvParser', () => {
+  const parseInChunks = (text, size) => {
+    const parser = new CsvParser();
+    const records = [];
+    for (let i = 0; i < text.length; i += size) {
+      records.push(...parser.push(text.slice(i, i + size)));
+    }
+    return [...records, ...parser.end()];
+  };
+
+  const text = `${BOM}id,body\r\n1,"multi\r\nline ""quoted"""\r\n2,plain\r\n3,""\r\n`;
+  const expected = [['id', 'body'], ['1', 'multi\r\nline "quoted"'], ['2', 'plain'], ['3', '']];
+
+  test.each([1, 2, 3, 5, 7])('gives the same records when fed %i characters at a time', size => {
+    expect(parseInChunks(text, size)).toEqual(expected);
+  });
+
+  test('handles a CRLF split across chunks', () => {
+    const parser = new CsvParser();
+    expect(parser.push('a\r')).toEqual([['a']]);
+    expect(parser.push('\nb')).toEqual([]);
+    expect(parser.end()).toEqual([['b']]);
+  });
+});
+
+describe('readCsvRecords', () => {
+  test('streams the records of a file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-test-'));
+    const filePath = path.join(dir, 'records.csv');
+    fs.writeFileSync(filePath, `${BOM}id,body\n1,"a\nb"\n2,""\n`);
+
+    const records = [];
+    for await (const record of readCsvRecords(filePath)) {
+      records.push(record);
+    }
+
+    fs.rmSync(dir, { recursive: true, force: true });
+    expect(records).toEqual([['id', 'body'], ['1', 'a\nb'], ['2', '']]);
+  });
+});
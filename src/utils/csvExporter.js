@@ -1,10 +1,15 @@
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('./logger');
+const config = require('../config');
+const { getFieldSchema } = require('./fieldSchema');
+const { BOM, encodeRow, readCsvRecords } = require('./csv');
 
 class CSVExporter {
-  constructor(outputPath) {
+  constructor(outputPath, { delimiter = config.output.csvDelimiter, bom = config.output.csvBom } = {}) {
     this.outputPath = outputPath;
+    this.delimiter = delimiter;
+    this.bom = bom;
     this.headersWritten = false;
     this.fileHandle = null;
     this.initialized = false;
@@ -23,18 +28,18 @@ class CSVExporter {
     try {
       await this.ensureOutputDirectory();
       
-      // Check if file already exists and has content
-      let fileExists = false;
-      try {
-        const stats = await fs.stat(this.outputPath);
-        if (stats.size > 0) {
-          logger.info('CSV file already exists, will append to it');
-          this.headersWritten = true;
-          fileExists = true;
-        }
-      } catch (error) {
-        // File doesn't exist, will create new
-        logger.info('CSV file does not exist, will create new file');
+      // Append to an existing file only when its header matches the current columns
+      const existingHeaders = await this.readHeaderRow();
+      if (existingHeaders === null) {
+        logger.info('CSV file does not exist or is empty, will start a new file');
+        await fs.writeFile(this.outputPath, '', 'utf8');
+        this.headersWritten = false;
+      } else if (this.headersMatch(existingHeaders)) {
+        logger.info('CSV file already exists, will append to it');
+        this.headersWritten = true;
+      } else {
+        await this.rotateCSV();
+        this.headersWritten = false;
       }
 
       // Close existing file handle if open
@@ -48,30 +53,7 @@ class CSVExporter {
       
       // Write headers only if this is a new file
       if (!this.headersWritten) {
-        const headers = [
-          'conversation_id',
-          'created_at',
-          'updated_at',
-          'subject',
-          'source_url',
-          'location_city',
-          'location_region',
-          'location_country',
-          'contact_id',
-          'browser',
-          'browser_version',
-          'browser_language',
-          'os',
-          'referrer',
-          'message_id',
-          'message_type',
-          'message_body',
-          'author_type',
-          'author_id',
-          'author_name',
-          'message_created_at'
-        ];
-        await this.fileHandle.write(headers.join(',') + '\n');
+        await this.fileHandle.write((this.bom ? BOM : '') + this.encodeRow(this.getHeaders()));
         this.headersWritten = true;
         logger.info('Initialized CSV file with headers');
       } else {
@@ -89,59 +71,83 @@ class CSVExporter {
     }
   }
 
+  /**
+   * Header row of the existing CSV file, or null if there is no file or it is empty
+   */
+  async readHeaderRow() {
+    try {
+      await fs.access(this.outputPath);
+    } catch (error) {
+      return null;
+    }
+
+    for await (const values of readCsvRecords(this.outputPath, { delimiter: this.delimiter })) {
+      return values;
+    }
+    return null;
+  }
+
+  headersMatch(headers) {
+    const expected = this.getHeaders();
+    return headers.length === expected.length && headers.every((header, index) => header === expected[index]);
+  }
+
+  /**
+   * Move a CSV written with different columns aside, so new rows never land under an old header
+   */
+  async rotateCSV() {
+    const { dir, name, ext } = path.parse(this.outputPath);
+    const rotatedPath = path.join(dir, `${name}.${new Date().toISOString().replace(/[:.]/g, '-')}${ext}`);
+
+    await fs.rename(this.outputPath, rotatedPath);
+    logger.warn('CSV columns changed, moved the existing file aside and started a new one', {
+      filePath: this.outputPath,
+      rotatedPath
+    });
+    console.log(`⚠️  CSV columns changed: the previous export was moved to ${rotatedPath}`);
+  }
+
+  /**
+   * Empty the CSV file so the next initialization starts with fresh headers
+   */
+  async resetCSV() {
+    await this.ensureOutputDirectory();
+    await fs.writeFile(this.outputPath, '', 'utf8');
+    this.headersWritten = false;
+    logger.info('Reset CSV file', { filePath: this.outputPath });
+  }
+
   /**
    * Append a single transcript to CSV
    */
   async appendTranscript(transcript) {
+    await this.appendTranscripts([transcript]);
+  }
+
+  /**
+   * Append transcripts to CSV in a single write, so a page is either saved whole or not at all
+   */
+  async appendTranscripts(transcripts) {
     if (!this.fileHandle) {
       throw new Error('CSV file not initialized. Call initializeCSV() first.');
     }
 
-    if (!transcript || !transcript.messages) {
-      console.log('DEBUG: Skipping null or empty transcript');
+    const valid = transcripts.filter(transcript => transcript && transcript.messages);
+    const rows = valid.flatMap(transcript => transcript.messages.map(message => this.buildRow(transcript, message)));
+
+    if (rows.length === 0) {
       return;
     }
 
     try {
-      const rows = [];
-      transcript.messages.forEach(message => {
-        const row = [
-          `"${transcript.conversationId || ''}"`,
-          `"${transcript.createdAt || ''}"`,
-          `"${transcript.updatedAt || ''}"`,
-          `"${this.escapeCSV(transcript.subject || '')}"`,
-          `"${this.escapeCSV(transcript.sourceUrl || '')}"`,
-          `"${this.escapeCSV(transcript.locationCity || '')}"`,
-          `"${this.escapeCSV(transcript.locationRegion || '')}"`,
-          `"${this.escapeCSV(transcript.locationCountry || '')}"`,
-          `"${transcript.contactId || ''}"`,
-          `"${this.escapeCSV(transcript.browser || '')}"`,
-          `"${this.escapeCSV(transcript.browserVersion || '')}"`,
-          `"${this.escapeCSV(transcript.browserLanguage || '')}"`,
-          `"${this.escapeCSV(transcript.os || '')}"`,
-          `"${this.escapeCSV(transcript.referrer || '')}"`,
-          `"${message.id || ''}"`,
-          `"${message.type || ''}"`,
-          `"${this.escapeCSV(message.body || '')}"`,
-          `"${message.author?.type || ''}"`,
-          `"${message.author?.id || ''}"`,
-          `"${this.escapeCSV(message.author?.name || '')}"`,
-          `"${message.createdAt || ''}"`
-        ];
-        rows.push(row.join(','));
+      await this.fileHandle.write(rows.join(''));
+      logger.debug('Appended transcripts to CSV', { 
+        conversationCount: valid.length,
+        messageCount: rows.length 
       });
-
-      if (rows.length > 0) {
-        // Ensure we're appending, not overwriting
-        await this.fileHandle.write(rows.join('\n') + '\n');
-        logger.debug('Appended transcript to CSV', { 
-          conversationId: transcript.conversationId,
-          messageCount: transcript.messages.length 
-        });
-      }
     } catch (error) {
-      logger.error('Failed to append transcript to CSV', { 
-        conversationId: transcript.conversationId,
+      logger.error('Failed to append transcripts to CSV', { 
+        conversationIds: valid.map(transcript => transcript.conversationId),
         error: error.message 
       });
       throw error;
@@ -168,33 +174,8 @@ class CSVExporter {
       return '';
     }
 
-    // Define CSV headers
-    const headers = [
-      'conversation_id',
-      'created_at',
-      'updated_at',
-      'subject',
-      'source_url',
-      'location_city',
-      'location_region',
-      'location_country',
-      'contact_id',
-      'browser',
-      'browser_version',
-      'browser_language',
-      'os',
-      'referrer',
-      'message_id',
-      'message_type',
-      'message_body',
-      'author_type',
-      'author_id',
-      'author_name',
-      'message_created_at'
-    ];
-
     // Create CSV content
-    let csvContent = headers.join(',') + '\n';
+    let csvContent = (this.bom ? BOM : '') + this.encodeRow(this.getHeaders());
 
     transcripts.forEach(transcript => {
       if (!transcript || !transcript.messages) {
@@ -202,30 +183,7 @@ class CSVExporter {
       }
 
       transcript.messages.forEach(message => {
-        const row = [
-          `"${transcript.conversationId || ''}"`,
-          `"${transcript.createdAt || ''}"`,
-          `"${transcript.updatedAt || ''}"`,
-          `"${this.escapeCSV(transcript.subject || '')}"`,
-          `"${this.escapeCSV(transcript.sourceUrl || '')}"`,
-          `"${this.escapeCSV(transcript.locationCity || '')}"`,
-          `"${this.escapeCSV(transcript.locationRegion || '')}"`,
-          `"${this.escapeCSV(transcript.locationCountry || '')}"`,
-          `"${transcript.contactId || ''}"`,
-          `"${this.escapeCSV(transcript.browser || '')}"`,
-          `"${this.escapeCSV(transcript.browserVersion || '')}"`,
-          `"${this.escapeCSV(transcript.browserLanguage || '')}"`,
-          `"${this.escapeCSV(transcript.os || '')}"`,
-          `"${this.escapeCSV(transcript.referrer || '')}"`,
-          `"${message.id || ''}"`,
-          `"${message.type || ''}"`,
-          `"${this.escapeCSV(message.body || '')}"`,
-          `"${message.author?.type || ''}"`,
-          `"${message.author?.id || ''}"`,
-          `"${this.escapeCSV(message.author?.name || '')}"`,
-          `"${message.createdAt || ''}"`
-        ];
-        csvContent += row.join(',') + '\n';
+        csvContent += this.buildRow(transcript, message);
       });
     });
 
@@ -233,11 +191,24 @@ class CSVExporter {
   }
 
   /**
-   * Escape special characters in CSV
+   * CSV header row, generated from the field schema
+   */
+  getHeaders() {
+    return getFieldSchema().getCsvHeaders();
+  }
+
+  /**
+   * One CSV record for a message of a transcript, including its line ending
    */
-  escapeCSV(text) {
-    if (!text) return '';
-    return text.replace(/"/g, '""').replace(/\n/g, ' ').replace(/\r/g, ' ');
+  buildRow(transcript, message) {
+    return this.encodeRow(getFieldSchema().getCsvValues(transcript, message), { quoteAll: true });
+  }
+
+  /**
+   * Encode one CSV record with this export's delimiter
+   */
+  encodeRow(values, { quoteAll = false } = {}) {
+    return encodeRow(values, { delimiter: this.delimiter, quoteAll });
   }
 
   /**
@@ -309,7 +280,38 @@ class CSVExporter {
   }
 
   /**
-   * Read existing CSV file and parse into data objects
+   * Conversation IDs already in the CSV file
+   */
+  async readConversationIds() {
+    const ids = new Set();
+    const idHeader = getFieldSchema().getConversationIdHeader();
+
+    try {
+      await fs.access(this.outputPath);
+    } catch (error) {
+      return ids;
+    }
+
+    let idIndex = null;
+    for await (const values of readCsvRecords(this.outputPath, { delimiter: this.delimiter })) {
+      if (idIndex === null) {
+        idIndex = values.indexOf(idHeader);
+        if (idIndex === -1) {
+          return ids;
+        }
+        continue;
+      }
+      if (values[idIndex]) {
+        ids.add(values[idIndex]);
+      }
+    }
+
+    logger.info(`Found ${ids.size} conversations already in the CSV`, { filePath: this.outputPath });
+    return ids;
+  }
+
+  /**
+   * Read existing CSV file and parse into data objects keyed by header
    */
   async readExistingCSV() {
     try {
@@ -321,31 +323,35 @@ class CSVExporter {
         return [];
       }
 
-      // Read the file
-      const fileContent = await fs.readFile(this.outputPath, 'utf8');
-      const lines = fileContent.trim().split('\n');
-      
-      if (lines.length <= 1) {
+      let headers = null;
+      let skipped = 0;
+      const data = [];
+
+      for await (const values of readCsvRecords(this.outputPath, { delimiter: this.delimiter })) {
+        if (!headers) {
+          headers = values;
+          continue;
+        }
+
+        if (values.length !== headers.length) {
+          skipped++;
+          continue;
+        }
+
+        const row = {};
+        headers.forEach((header, index) => {
+          row[header] = values[index];
+        });
+        data.push(row);
+      }
+
+      if (data.length === 0) {
         logger.warn('CSV file is empty or only contains headers');
         return [];
       }
 
-      // Parse headers
-      const headers = lines[0].split(',').map(h => h.replace(/"/g, ''));
-      
-      // Parse data rows
-      const data = [];
-      for (let i = 1; i < lines.length; i++) {
-        const line = lines[i];
-        const values = this.parseCSVLine(line);
-        
-        if (values.length === headers.length) {
-          const row = {};
-          headers.forEach((header, index) => {
-            row[header] = values[index].replace(/"/g, '');
-          });
-          data.push(row);
-        }
+      if (skipped > 0) {
+        logger.warn(`Skipped ${skipped} CSV records that do not match the header row`, { filePath: this.outputPath });
       }
 
       logger.info(`Successfully read ${data.length} records from CSV`);
@@ -358,31 +364,6 @@ class CSVExporter {
       throw error;
     }
   }
-
-  /**
-   * Parse a CSV line, handling quoted values
-   */
-  parseCSVLine(line) {
-    const values = [];
-    let current = '';
-    let inQuotes = false;
-    
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
-      
-      if (char === '"') {
-        inQuotes = !inQuotes;
-      } else if (char === ',' && !inQuotes) {
-        values.push(current);
-        current = '';
-      } else {
-        current += char;
-      }
-    }
-    
-    values.push(current);
-    return values;
-  }
 }
 
 module.exports = CSVExporter; 
\ No newline at end of file
@@ -0,0 +1,27 @@
+const config = require('../config');
+
+/**
+ * Column name used for a conversation custom attribute in the CSV and Caplena
+ */
+function getCustomAttributeColumn(attributeName) {
+  const slug = attributeName
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return `attr_${slug}`;
+}
+
+/**
+ * The configured custom attributes with their column names
+ */
+function getCustomAttributeColumns() {
+  return config.export.customAttributes.map(name => ({
+    name,
+    column: getCustomAttributeColumn(name)
+  }));
+}
+
+module.exports = {
+  getCustomAttributeColumn,
+  getCustomAttributeColumns
+};
@@ -0,0 +1,266 @@
+const fs = require('fs');
+const config = require('../config');
+const logger = require('./logger');
+const { getCustomAttributeColumns } = require('./customAttributes');
+
+const CAPLENA_TYPES = new Set(['text', 'text_to_analyze', 'numerical', 'date', 'boolean']);
+
+/**
+ * Numerical columns take a number, or null when there is no value
+ */
+function toNumberOrNull(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+function toText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function getPath(object, path) {
+  return path.reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), object);
+}
+
+function setPath(object, path, value) {
+  let current = object;
+  path.slice(0, -1).forEach(key => {
+    if (current[key] === undefined || current[key] === null) {
+      current[key] = {};
+    }
+    current = current[key];
+  });
+  current[path[path.length - 1]] = value;
+}
+
+/**
+ * Declarative field mapping shared by the Caplena project columns, the Caplena
+ * row transform and the CSV export. Fields with an "@" source are computed
+ * while building the row (e.g. the analysed transcript text).
+ */
+class FieldSchema {
+  constructor(definition, flags = {}) {
+    this.conversationFields = this.expandFields(definition.conversation || [], flags);
+    this.messageFields = (definition.message || []).map(field => this.compileField(field));
+
+    // Caplena rows are matched to conversations, and checked for duplicates, by these columns
+    if (!this.getConversationIdRef() || !this.getTextRef()) {
+      throw new Error('Field schema needs Caplena columns with sources "conversationId" and "@userText"');
+    }
+  }
+
+  /**
+   * Load the schema from a JSON file
+   */
+  static fromFile(filePath, flags = {}) {
+    const definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const schema = new FieldSchema(definition, flags);
+
+    logger.debug('Loaded field schema', {
+      filePath,
+      conversationFields: schema.conversationFields.length,
+      messageFields: schema.messageFields.length
+    });
+
+    return schema;
+  }
+
+  /**
+   * Drop fields whose required feature is off and expand placeholders into concrete fields
+   */
+  expandFields(fields, flags) {
+    return fields.flatMap(field => {
+      if (field.requires && !flags[field.requires]) {
+        return [];
+      }
+
+      if (field.expand === 'customAttributes') {
+        return getCustomAttributeColumns().map(({ name, column }) => this.compileField({
+          ...field,
+          expand: undefined,
+          name: column,
+          path: ['customAttributes', name]
+        }));
+      }
+
+      if (field.expand) {
+        throw new Error(`Unknown field expansion: ${field.expand}`);
+      }
+
+      return [this.compileField(field)];
+    });
+  }
+
+  compileField(field) {
+    if (!field.name || (!field.source && !field.path)) {
+      throw new Error(`Field needs a name and a source: ${JSON.stringify(field)}`);
+    }
+    if (field.caplena && !CAPLENA_TYPES.has(field.caplena)) {
+      throw new Error(`Unknown Caplena column type for ${field.name}: ${field.caplena}`);
+    }
+
+    const computed = typeof field.source === 'string' && field.source.startsWith('@');
+
+    return {
+      name: field.name,
+      caplena: field.caplena || null,
+      csvHeader: field.csv === false ? null : (typeof field.csv === 'string' ? field.csv : field.name),
+      computed: computed ? field.source.slice(1) : null,
+      path: field.path || (computed ? null : field.source.split('.'))
+    };
+  }
+
+  resolve(field, source, computed = {}) {
+    return field.computed ? computed[field.computed] : getPath(source, field.path);
+  }
+
+  /**
+   * Column definitions for creating a Caplena project
+   */
+  getCaplenaColumns() {
+    return this.conversationFields
+      .filter(field => field.caplena)
+      .map(field => ({ name: field.name, type: field.caplena }));
+  }
+
+  /**
+   * Row columns for the Caplena bulk rows API
+   */
+  buildCaplenaColumns(transcript, computed = {}) {
+    return this.conversationFields
+      .filter(field => field.caplena)
+      .map(field => {
+        const value = this.resolve(field, transcript, computed);
+        const column = {
+          ref: field.name,
+          value: field.caplena === 'numerical' ? toNumberOrNull(value) : toText(value)
+        };
+        if (field.caplena === 'text_to_analyze') {
+          column.was_reviewed = false;
+        }
+        return column;
+      });
+  }
+
+  /**
+   * CSV header row: conversation fields followed by message fields
+   */
+  getCsvHeaders() {
+    return [
+      ...this.getConversationCsvHeaders(),
+      ...this.messageFields.filter(field => field.csvHeader).map(field => field.csvHeader)
+    ];
+  }
+
+  /**
+   * Plain-text CSV values for one message of a transcript, in header order
+   */
+  getCsvValues(transcript, message) {
+    return [
+      ...this.getConversationCsvValues(transcript),
+      ...this.messageFields
+        .filter(field => field.csvHeader)
+        .map(field => toText(this.resolve(field, message)))
+    ];
+  }
+
+  /**
+   * CSV headers of the conversation-level fields only
+   */
+  getConversationCsvHeaders() {
+    return this.conversationFields
+      .filter(field => field.csvHeader)
+      .map(field => field.csvHeader);
+  }
+
+  getConversationCsvValues(transcript) {
+    return this.conversationFields
+      .filter(field => field.csvHeader)
+      .map(field => toText(this.resolve(field, transcript)));
+  }
+
+  /**
+   * Conversation-level CSV values read back from a Caplena row, for rows with no local transcript
+   */
+  getConversationCsvValuesFromRow(row) {
+    const values = new Map((row.columns || []).map(column => [column.ref, column.value]));
+    return this.conversationFields
+      .filter(field => field.csvHeader)
+      .map(field => toText(values.get(field.name)));
+  }
+
+  /**
+   * CSV header of the conversation ID column, or null if the schema has none
+   */
+  getConversationIdHeader() {
+    const idField = this.conversationFields.find(field => field.path?.join('.') === 'conversationId');
+    return idField?.csvHeader || null;
+  }
+
+  /**
+   * Caplena column ref of the conversation ID
+   */
+  getConversationIdRef() {
+    return this.conversationFields.find(field => field.caplena && field.path?.join('.') === 'conversationId')?.name || null;
+  }
+
+  /**
+   * Caplena column ref of the analysed customer text
+   */
+  getTextRef() {
+    return this.conversationFields.find(field => field.caplena && field.computed === 'userText')?.name || null;
+  }
+
+  /**
+   * Rebuild transcripts from CSV records (one record per message)
+   */
+  transcriptsFromCsvRecords(records) {
+    const idHeader = this.getConversationIdHeader();
+    const transcripts = new Map();
+
+    records.forEach(record => {
+      const conversationId = idHeader ? record[idHeader] : '';
+
+      if (!transcripts.has(conversationId)) {
+        const transcript = { messages: [] };
+        this.conversationFields
+          .filter(field => field.csvHeader && field.path && record[field.csvHeader] !== undefined)
+          .forEach(field => setPath(transcript, field.path, record[field.csvHeader]));
+        transcripts.set(conversationId, transcript);
+      }
+
+      const message = {};
+      this.messageFields
+        .filter(field => field.csvHeader && field.path && record[field.csvHeader] !== undefined)
+        .forEach(field => setPath(message, field.path, record[field.csvHeader]));
+      transcripts.get(conversationId).messages.push(message);
+    });
+
+    return Array.from(transcripts.values());
+  }
+}
+
+let defaultSchema = null;
+
+/**
+ * The schema configured for this run, loaded once
+ */
+function getFieldSchema() {
+  if (!defaultSchema) {
+    defaultSchema = FieldSchema.fromFile(config.schema.fieldsPath, {
+      agentColumn: config.transcript.mode === 'dialogue' && config.transcript.agentColumn
+    });
+  }
+  return defaultSchema;
+}
+
+module.exports = {
+  FieldSchema,
+  getFieldSchema,
+  toNumberOrNull
+};
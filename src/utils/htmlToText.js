@@ -0,0 +1,138 @@
+// Named entities seen in Intercom message bodies; anything else is left as-is
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  laquo: '«',
+  raquo: '»',
+  bull: '•',
+  middot: '·',
+  euro: '€',
+  pound: '£',
+  yen: '¥',
+  cent: '¢',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  deg: '°',
+  times: '×',
+  divide: '÷'
+};
+
+/**
+ * Decode named and numeric HTML entities
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      try {
+        return String.fromCodePoint(codePoint);
+      } catch (error) {
+        return match;
+      }
+    }
+    const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+/**
+ * Read an attribute value from a tag's attribute string
+ */
+function getAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  if (!match) {
+    return '';
+  }
+  return decodeEntities(match[2] ?? match[3] ?? match[4] ?? '').trim();
+}
+
+// Tags stripped from message bodies. Only known HTML elements count, so angle
+// brackets typed by the customer (e.g. "5 < 6" or "x<y and y>z") are kept.
+const TAG_NAMES = [
+  'a', 'abbr', 'article', 'b', 'big', 'blockquote', 'body', 'br', 'button', 'caption',
+  'center', 'cite', 'code', 'col', 'colgroup', 'dd', 'del', 'div', 'dl', 'dt', 'em',
+  'figcaption', 'figure', 'font', 'footer', 'h[1-6]', 'head', 'header', 'hr', 'html', 'i',
+  'iframe', 'img', 'input', 'ins', 'kbd', 'label', 'li', 'link', 'mark', 'meta', 'nobr',
+  'ol', 'p', 'pre', 'q', 's', 'section', 'small', 'source', 'span', 'strike', 'strong',
+  'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'title', 'tr', 'tt', 'u',
+  'ul', 'video', 'wbr'
+];
+const TAG_PATTERN = new RegExp(`</?(?:${TAG_NAMES.join('|')})(?:\\s[^>]*)?/?>`, 'gi');
+
+/**
+ * Convert an Intercom HTML message body to plain text. Paragraphs become
+ * blank-line separated, list items get bullets (or numbers in ordered lists),
+ * links keep their URL and images are replaced with a placeholder.
+ */
+function htmlToText(html) {
+  if (!html) {
+    return '';
+  }
+
+  let text = String(html)
+    .replace(/\r\n?/g, '\n')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+    // Source newlines are not significant in HTML
+    .replace(/\s*\n\s*/g, ' ');
+
+  // Images carry no text, but readers should know one was sent
+  text = text.replace(/<img\b([^>]*)>/gi, (match, attributes) => {
+    const alt = getAttribute(attributes, 'alt');
+    return alt ? ` [Image: ${alt}] ` : ' [Image] ';
+  });
+
+  // Links: keep the visible text and the URL
+  text = text.replace(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi, (match, attributes, inner) => {
+    const href = getAttribute(attributes, 'href');
+    const label = decodeEntities(inner.replace(TAG_PATTERN, '')).trim();
+    const url = href.replace(/^mailto:/i, '');
+
+    if (!url) {
+      return label;
+    }
+    if (!label || label === url || label === href) {
+      return url;
+    }
+    return `${label} (${url})`;
+  });
+
+  // Ordered lists: number their items
+  text = text.replace(/<ol\b[^>]*>([\s\S]*?)<\/ol>/gi, (match, inner) => {
+    let index = 0;
+    return '\n' + inner.replace(/<li\b[^>]*>/gi, () => `\n${++index}. `) + '\n\n';
+  });
+
+  text = text
+    .replace(/<li\b[^>]*>/gi, '\n• ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|blockquote|pre|table|ul|ol)>/gi, '\n\n')
+    .replace(/<(p|div|h[1-6]|blockquote|pre|table|ul|ol|tr)\b[^>]*>/gi, '\n')
+    .replace(/<\/(li|tr)>/gi, '')
+    .replace(TAG_PATTERN, '');
+
+  return decodeEntities(text)
+    .replace(/[ \t ]+/g, ' ')
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = htmlToText;
+module.exports.decodeEntities = decodeEntities;
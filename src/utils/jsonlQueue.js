@@ -0,0 +1,106 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+const writeFileAtomic = require('./writeFileAtomic');
+
+/**
+ * Append-only JSON Lines file used as a simple persistent queue
+ */
+class JsonlQueue {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Append records, one JSON object per line
+   */
+  async append(records) {
+    if (!records || records.length === 0) {
+      return;
+    }
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const lines = records.map(record => JSON.stringify(record)).join('\n') + '\n';
+    await fs.appendFile(this.filePath, lines, 'utf8');
+
+    logger.debug(`Queued ${records.length} records`, { filePath: this.filePath });
+  }
+
+  /**
+   * Read every queued record; unparseable lines are logged and skipped
+   */
+  async readAll() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const records = [];
+    content.split('\n').forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        logger.warn('Skipping unreadable queue line', { filePath: this.filePath, line: index + 1 });
+      }
+    });
+    return records;
+  }
+
+  /**
+   * Replace the queue contents, e.g. after some records were handled
+   */
+  async replace(records) {
+    if (records.length === 0) {
+      await this.clear();
+      return;
+    }
+
+    await writeFileAtomic(this.filePath, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+  }
+
+  /**
+   * Remove and return the records matching a predicate
+   */
+  async take(predicate) {
+    const records = await this.readAll();
+    const taken = records.filter(predicate);
+
+    if (taken.length > 0) {
+      await this.replace(records.filter(record => !predicate(record)));
+    }
+    return taken;
+  }
+
+  /**
+   * Remove the records matching a predicate, once they have been handled
+   */
+  async remove(predicate) {
+    const records = await this.readAll();
+    const remaining = records.filter(record => !predicate(record));
+
+    if (remaining.length < records.length) {
+      await this.replace(remaining);
+    }
+    return records.length - remaining.length;
+  }
+
+  async clear() {
+    try {
+      await fs.unlink(this.filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = JsonlQueue;
@@ -0,0 +1,65 @@
+// Common function words per language. Short chat messages rarely contain enough
+// content words to go on, but almost always contain a few of these.
+const STOPWORDS = {
+  en: 'the and is are was you your i my me to of in it that this for with have has not be on at can do would please thanks thank hi hello what when where how',
+  de: 'der die das und ist sind ich du sie wir nicht mit ein eine einen für auf zu den dem es ja nein bitte danke hallo habe haben wie was wann wo kann',
+  fr: 'le la les et est sont je tu vous nous pas avec un une des pour sur dans ce cette merci bonjour oui non mon ma mes avez suis qui que comment',
+  es: 'el la los las y es son yo tú usted nosotros no con un una para por en que este esta gracias hola sí mi mis tengo está cómo qué cuando',
+  it: 'il lo la gli le e è sono io tu voi noi non con un una per su che questo questa grazie ciao sì mio mia ho come quando dove',
+  nl: 'de het een en is zijn ik jij je u wij niet met voor op te van dat dit bedankt hallo ja nee mijn heb hebben hoe wat wanneer',
+  pt: 'o a os as e é são eu você nós não com um uma para por em que este esta obrigado obrigada olá sim meu minha tenho como quando',
+  sv: 'och är jag du vi inte med en ett för på att det den detta tack hej ja nej min mitt har hur vad när',
+  da: 'og er jeg du vi ikke med en et for på at det den dette tak hej ja nej min mit har hvordan hvad hvornår'
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words.split(' '))])
+);
+
+const SUPPORTED_LANGUAGES = Object.keys(STOPWORDS);
+
+/**
+ * Primary language subtag of a browser language such as "de-AT", if supported
+ */
+function normalizeLanguageCode(code) {
+  const primary = String(code || '').toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(primary) ? primary : null;
+}
+
+/**
+ * Score text against each language's stopwords, best match first
+ */
+function scoreLanguages(text) {
+  const tokens = String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}']+/u)
+    .filter(Boolean);
+
+  return SUPPORTED_LANGUAGES
+    .map(language => ({
+      language,
+      score: tokens.filter(token => STOPWORD_SETS[language].has(token)).length
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Detect the language of a text offline. Returns the hint (e.g. the browser
+ * language) or the fallback when the text is too short or ambiguous to tell.
+ */
+function detectLanguage(text, { hint = null, fallback = 'en', minScore = 2 } = {}) {
+  const [best, second] = scoreLanguages(text);
+
+  if (best.score >= minScore && best.score > second.score) {
+    return best.language;
+  }
+
+  return normalizeLanguageCode(hint) || fallback;
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  detectLanguage,
+  normalizeLanguageCode,
+  scoreLanguages
+};
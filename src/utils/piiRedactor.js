@@ -0,0 +1,190 @@
+const fs = require('fs');
+const logger = require('./logger');
+const { isCustomerAuthor } = require('./speakerLabels');
+
+// Stands in for the customer's name on their messages
+const CUSTOMER_NAME_PLACEHOLDER = '[NAME]';
+
+/**
+ * Luhn checksum, used to tell card numbers from other long digit runs
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  let double = false;
+
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = Number(digits[i]);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+    double = !double;
+  }
+
+  return digits.length > 0 && sum % 10 === 0;
+}
+
+/**
+ * One-line summary of redaction counts for CLI output, e.g. "5 (EMAIL 3, PHONE 2)"
+ */
+function formatRedactionStats(stats) {
+  const types = Object.entries(stats.byType).map(([type, count]) => `${type} ${count}`);
+  return types.length > 0 ? `${stats.total} (${types.join(', ')})` : '0';
+}
+
+const VALIDATORS = {
+  luhn: passesLuhn
+};
+
+/**
+ * Replace personal data in free text with typed placeholders such as [EMAIL].
+ * Rules run in order, so broader patterns (e.g. phone numbers) should come after
+ * the narrower ones they overlap with (e.g. card numbers).
+ */
+class PiiRedactor {
+  constructor(rules = []) {
+    this.rules = rules
+      .filter(rule => rule.enabled !== false)
+      .map((rule, index) => this.compileRule(rule, index));
+    this.resetStats();
+  }
+
+  /**
+   * Load rules from a JSON config file
+   */
+  static fromFile(filePath) {
+    try {
+      const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const redactor = new PiiRedactor(content.rules || []);
+      logger.debug(`Loaded ${redactor.rules.length} PII redaction rules`, { filePath });
+      return redactor;
+    } catch (error) {
+      logger.error('Failed to load PII redaction rules', { filePath, error: error.message });
+      throw error;
+    }
+  }
+
+  compileRule(rule, index) {
+    const type = rule.type;
+
+    if (!type || !rule.pattern) {
+      throw new Error(`PII redaction rule ${index + 1} needs a type and a pattern`);
+    }
+    if (rule.validate && !VALIDATORS[rule.validate]) {
+      throw new Error(`PII redaction rule "${type}" has unknown validator "${rule.validate}" (expected one of ${Object.keys(VALIDATORS).join(', ')})`);
+    }
+
+    const flags = new Set(`${rule.flags || ''}gu`);
+
+    return {
+      type,
+      regex: new RegExp(rule.pattern, Array.from(flags).join('')),
+      placeholder: rule.placeholder || `[${type}]`,
+      minDigits: rule.minDigits || 0,
+      maxDigits: rule.maxDigits || Infinity,
+      validate: rule.validate ? VALIDATORS[rule.validate] : null
+    };
+  }
+
+  /**
+   * Whether a match should be redacted, after the rule's digit count and validator checks
+   */
+  accepts(rule, match) {
+    const digits = match.replace(/\D/g, '');
+
+    if (digits.length < rule.minDigits || digits.length > rule.maxDigits) {
+      return false;
+    }
+
+    return !rule.validate || rule.validate(digits);
+  }
+
+  /**
+   * Redact one piece of text, adding what was replaced to the run counts
+   */
+  redactText(text) {
+    if (!text || typeof text !== 'string') {
+      return text;
+    }
+
+    return this.rules.reduce((current, rule) => current.replace(rule.regex, match => {
+      if (!this.accepts(rule, match)) {
+        return match;
+      }
+      this.count(rule.type);
+      return rule.placeholder;
+    }), text);
+  }
+
+  count(type) {
+    this.stats.byType[type] = (this.stats.byType[type] || 0) + 1;
+    this.stats.total++;
+  }
+
+  /**
+   * Mask the name on a customer's message; agent and bot names are kept
+   */
+  redactAuthor(author) {
+    if (!author || !author.name || !isCustomerAuthor(author.type)) {
+      return author;
+    }
+
+    this.count('NAME');
+    return { ...author, name: CUSTOMER_NAME_PLACEHOLDER };
+  }
+
+  /**
+   * Redact a transcript: the subject, CSAT remark, source URL, referrer, custom
+   * attribute values and message bodies, plus the customer's name on their messages
+   */
+  redactTranscript(transcript) {
+    if (!transcript) {
+      return transcript;
+    }
+
+    const before = this.stats.total;
+    const redacted = {
+      ...transcript,
+      subject: this.redactText(transcript.subject),
+      csatRemark: this.redactText(transcript.csatRemark),
+      sourceUrl: this.redactText(transcript.sourceUrl),
+      referrer: this.redactText(transcript.referrer),
+      customAttributes: transcript.customAttributes && Object.fromEntries(
+        Object.entries(transcript.customAttributes).map(([name, value]) => [name, this.redactText(value)])
+      ),
+      messages: (transcript.messages || []).map(message => ({
+        ...message,
+        body: this.redactText(message.body),
+        author: this.redactAuthor(message.author)
+      }))
+    };
+
+    if (this.stats.total > before) {
+      this.stats.transcripts++;
+    }
+
+    return redacted;
+  }
+
+  /**
+   * Counts of what was redacted since the last reset. Never includes the original values.
+   */
+  getStats() {
+    return {
+      total: this.stats.total,
+      transcripts: this.stats.transcripts,
+      byType: { ...this.stats.byType }
+    };
+  }
+
+  resetStats() {
+    this.stats = { total: 0, transcripts: 0, byType: {} };
+  }
+}
+
+module.exports = PiiRedactor;
+module.exports.passesLuhn = passesLuhn;
+module.exports.formatRedactionStats = formatRedactionStats;
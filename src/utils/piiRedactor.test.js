@@ -0,0 +1,124 @@
+const path = require('path');
+
+jest.mock('./logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const PiiRedactor = require('./piiRedactor');
+const { passesLuhn, formatRedactionStats } = PiiRedactor;
+
+const RULES_PATH = path.join(__dirname, '..', 'config', 'piiRedaction.json');
+
+describe('passesLuhn', () => {
+  test('accepts valid card numbers', () => {
+    expect(passesLuhn('4111111111111111')).toBe(true);
+    expect(passesLuhn('5555555555554444')).toBe(true);
+    expect(passesLuhn('378282246310005')).toBe(true);
+  });
+
+  test('rejects numbers with a wrong check digit', () => {
+    expect(passesLuhn('4111111111111112')).toBe(false);
+    expect(passesLuhn('1234567812345678')).toBe(false);
+  });
+
+  test('rejects an empty string', () => {
+    expect(passesLuhn('')).toBe(false);
+  });
+});
+
+describe('default rules', () => {
+  const redactor = PiiRedactor.fromFile(RULES_PATH);
+  const redact = text => redactor.redactText(text);
+
+  test('redacts email addresses', () => {
+    expect(redact('Write to jane.doe+shop@example.co.uk please')).toBe('Write to [EMAIL] please');
+  });
+
+  test('redacts card numbers only when they pass the Luhn check', () => {
+    expect(redact('Card 4111 1111 1111 1111 was charged')).toBe('Card [CARD] was charged');
+    expect(redact('Card 4111 1111 1111 1112 was charged')).toBe('Card 4111 1111 1111 1112 was charged');
+  });
+
+  test('redacts order numbers together with their # marker', () => {
+    expect(redact('My order #123456 has not arrived')).toBe('My order [ORDER_NUMBER] has not arrived');
+    expect(redact('Where is #98765?')).toBe('Where is [ORDER_NUMBER]?');
+  });
+
+  test('redacts order numbers after a word marker', () => {
+    expect(redact('order number: AB-1234')).toBe('order number: [ORDER_NUMBER]');
+    expect(redact('Order no. 4711X')).toBe('Order no. [ORDER_NUMBER]');
+    expect(redact('Meine Bestellnummer 4711-0815')).toBe('Meine Bestellnummer [ORDER_NUMBER]');
+  });
+
+  test('redacts unmarked order numbers with a run of five or more digits', () => {
+    expect(redact('Order 123456 is late')).toBe('Order [ORDER_NUMBER] is late');
+  });
+
+  test('leaves dates and short numbers after "order" alone', () => {
+    expect(redact('Order 2024-01-15 arrived broken')).toBe('Order 2024-01-15 arrived broken');
+    expect(redact('I placed my order 2 weeks ago')).toBe('I placed my order 2 weeks ago');
+  });
+
+  test('redacts international and national phone numbers', () => {
+    expect(redact('Call me on +44 7700 900123')).toBe('Call me on [PHONE]');
+    expect(redact('Call me on 07700 900123')).toBe('Call me on [PHONE]');
+  });
+
+  test('redacts UK postcodes', () => {
+    expect(redact('I live in SW1A 1AA')).toBe('I live in [POSTCODE]');
+  });
+
+  test('leaves text without personal data unchanged', () => {
+    expect(redact('The parcel was damaged, can I get a refund?')).toBe('The parcel was damaged, can I get a refund?');
+  });
+});
+
+describe('PiiRedactor', () => {
+  test('rejects rules without a type or pattern', () => {
+    expect(() => new PiiRedactor([{ pattern: 'x' }])).toThrow('needs a type and a pattern');
+  });
+
+  test('rejects unknown validators', () => {
+    expect(() => new PiiRedactor([{ type: 'X', pattern: 'x', validate: 'nope' }])).toThrow('unknown validator');
+  });
+
+  test('skips disabled rules', () => {
+    const redactor = new PiiRedactor([{ type: 'X', pattern: 'secret', enabled: false }]);
+    expect(redactor.redactText('secret')).toBe('secret');
+  });
+
+  test('applies digit limits and custom placeholders', () => {
+    const redactor = new PiiRedactor([{ type: 'ID', pattern: '\\d+', minDigits: 4, placeholder: '<id>' }]);
+    expect(redactor.redactText('123 and 12345')).toBe('123 and <id>');
+  });
+
+  test('redacts every free-text field of a transcript and masks the customer name', () => {
+    const redactor = new PiiRedactor([{ type: 'EMAIL', pattern: '[\\w.]+@\\w+\\.\\w+' }]);
+
+    const transcript = redactor.redactTranscript({
+      conversationId: '1',
+      subject: 'From a@b.com',
+      csatRemark: 'Mail c@d.com',
+      sourceUrl: 'https://shop.example/checkout?email=e@f.com',
+      referrer: 'https://mail.example/?to=g@h.com',
+      customAttributes: { contact_email: 'i@j.com', orders: 3 },
+      messages: [
+        { body: 'I am k@l.com', author: { type: 'lead', id: 'u1', name: 'Jane Doe' } },
+        { body: 'Thanks', author: { type: 'admin', id: 'a1', name: 'Sam Agent' } }
+      ]
+    });
+
+    expect(transcript.subject).toBe('From [EMAIL]');
+    expect(transcript.csatRemark).toBe('Mail [EMAIL]');
+    expect(transcript.sourceUrl).toBe('https://shop.example/checkout?email=[EMAIL]');
+    expect(transcript.referrer).toBe('https://mail.example/?to=[EMAIL]');
+    expect(transcript.customAttributes).toEqual({ contact_email: '[EMAIL]', orders: 3 });
+    expect(transcript.messages[0]).toEqual({ body: 'I am [EMAIL]', author: { type: 'lead', id: 'u1', name: '[NAME]' } });
+    expect(transcript.messages[1].author.name).toBe('Sam Agent');
+
+    expect(redactor.getStats()).toEqual({ total: 7, transcripts: 1, byType: { EMAIL: 6, NAME: 1 } });
+  });
+
+  test('formats redaction statistics', () => {
+    expect(formatRedactionStats({ total: 0, transcripts: 0, byType: {} })).toBe('0');
+    expect(formatRedactionStats({ total: 5, transcripts: 2, byType: { EMAIL: 3, PHONE: 2 } })).toBe('5 (EMAIL 3, PHONE 2)');
+  });
+});
@@ -0,0 +1,244 @@
+const config = require('../config');
+const logger = require('./logger');
+
+// Statuses worth retrying: timeouts, rate limiting and transient server errors
+const RETRYABLE_STATUS_CODES = new Set([408, 429, 500, 502, 503, 504]);
+
+// Network-level failures that usually succeed on a second attempt
+const RETRYABLE_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN'
+]);
+
+// Failures where the request never reached the server, so even a POST is safe to resend
+const CONNECT_ERROR_CODES = new Set([
+  'ECONNREFUSED',
+  'EAI_AGAIN'
+]);
+
+const IDEMPOTENT_METHODS = new Set(['get', 'head', 'options', 'put', 'delete']);
+
+// Used in place of a missing or non-numeric setting (e.g. API_MAX_RETRIES=abc)
+const DEFAULT_SETTINGS = {
+  maxRetries: 5,
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+  retryBudget: 50,
+  budgetWindowMs: 60000
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether resending a request cannot apply it twice. POST and PATCH requests
+ * opt in with `idempotent: true` in their request config.
+ */
+function isIdempotentRequest(requestConfig = {}) {
+  return requestConfig.idempotent === true ||
+    IDEMPOTENT_METHODS.has((requestConfig.method || 'get').toLowerCase());
+}
+
+/**
+ * Check whether a failed request is worth retrying. A non-idempotent request the
+ * server may already have applied (5xx, timeout, dropped connection) is not
+ * retried, only rate limiting and failures to connect.
+ */
+function isRetryableError(error) {
+  if (!isIdempotentRequest(error.config)) {
+    return error.response
+      ? error.response.status === 429
+      : CONNECT_ERROR_CODES.has(error.code);
+  }
+
+  if (error.response) {
+    return RETRYABLE_STATUS_CODES.has(error.response.status);
+  }
+  return RETRYABLE_ERROR_CODES.has(error.code);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(headers = {}) {
+  const value = headers['retry-after'];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Milliseconds until the X-RateLimit-Reset epoch (seconds) is reached
+ */
+function parseRateLimitReset(headers = {}) {
+  const reset = parseInt(headers['x-ratelimit-reset'], 10);
+  if (Number.isNaN(reset)) {
+    return null;
+  }
+  return Math.max(0, reset * 1000 - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter
+ */
+function getBackoffDelay(attempt, settings) {
+  const ceiling = Math.min(settings.maxDelayMs, settings.baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Work out how long to wait before the next attempt. Server-supplied delays are
+ * capped at maxDelayMs so a bad header cannot stall the process.
+ */
+function getRetryDelay(error, attempt, settings) {
+  const headers = error.response?.headers || {};
+
+  const retryAfter = parseRetryAfter(headers);
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, settings.maxDelayMs);
+  }
+
+  if (error.response?.status === 429) {
+    const resetDelay = parseRateLimitReset(headers);
+    if (resetDelay !== null) {
+      return Math.min(resetDelay, settings.maxDelayMs);
+    }
+  }
+
+  return getBackoffDelay(attempt, settings);
+}
+
+/**
+ * Merge retry options over the configured settings, replacing any numeric
+ * setting that is not a non-negative number with its default
+ */
+function resolveSettings(options = {}) {
+  const settings = { ...config.retry, ...options };
+
+  Object.entries(DEFAULT_SETTINGS).forEach(([key, fallback]) => {
+    const value = settings[key];
+    settings[key] = Number.isFinite(value) && value >= 0 ? Math.floor(value) : fallback;
+  });
+
+  return settings;
+}
+
+/**
+ * Attach retry, backoff and rate-limit handling to an axios client
+ */
+function attachRetry(client, options = {}) {
+  const settings = resolveSettings(options);
+  const name = settings.name || 'API';
+  const state = {
+    pausedUntil: 0,
+    recentRetries: []
+  };
+
+  // Track Intercom-style rate limit headers so we pause before hitting the limit
+  const updateRateLimitState = (headers = {}) => {
+    const remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+    if (Number.isNaN(remaining) || remaining > 0) {
+      return;
+    }
+
+    const resetDelay = parseRateLimitReset(headers);
+    if (resetDelay !== null) {
+      state.pausedUntil = Math.max(state.pausedUntil, Date.now() + resetDelay);
+    }
+  };
+
+  // Retries allowed within the rolling budget window
+  const takeFromBudget = () => {
+    const now = Date.now();
+    state.recentRetries = state.recentRetries.filter(time => now - time < settings.budgetWindowMs);
+    if (state.recentRetries.length >= settings.retryBudget) {
+      return false;
+    }
+    state.recentRetries.push(now);
+    return true;
+  };
+
+  client.interceptors.request.use(async (requestConfig) => {
+    const wait = state.pausedUntil - Date.now();
+    if (wait > 0) {
+      logger.info(`${name} rate limit exhausted, pausing requests`, { waitMs: wait });
+      await sleep(wait);
+    }
+    return requestConfig;
+  });
+
+  client.interceptors.response.use(
+    (response) => {
+      updateRateLimitState(response.headers);
+      return response;
+    },
+    async (error) => {
+      const requestConfig = error.config;
+
+      if (error.response) {
+        updateRateLimitState(error.response.headers);
+      }
+
+      if (!requestConfig || !isRetryableError(error)) {
+        return Promise.reject(error);
+      }
+
+      const attempt = requestConfig.retryAttempt || 0;
+
+      if (attempt >= settings.maxRetries) {
+        logger.warn(`${name} request failed after ${attempt} retries, giving up`, {
+          url: requestConfig.url,
+          status: error.response?.status
+        });
+        return Promise.reject(error);
+      }
+
+      if (!takeFromBudget()) {
+        logger.warn(`${name} retry budget exhausted, not retrying`, {
+          url: requestConfig.url,
+          retryBudget: settings.retryBudget,
+          budgetWindowMs: settings.budgetWindowMs
+        });
+        return Promise.reject(error);
+      }
+
+      const delay = getRetryDelay(error, attempt, settings);
+      requestConfig.retryAttempt = attempt + 1;
+
+      logger.warn(`Retrying ${name} request`, {
+        url: requestConfig.url,
+        method: requestConfig.method,
+        status: error.response?.status,
+        code: error.code,
+        attempt: requestConfig.retryAttempt,
+        delayMs: delay
+      });
+
+      await sleep(delay);
+      return client.request(requestConfig);
+    }
+  );
+
+  return client;
+}
+
+module.exports = {
+  attachRetry,
+  isIdempotentRequest,
+  isRetryableError,
+  parseRetryAfter,
+  getRetryDelay,
+  resolveSettings,
+  sleep
+};
@@ -0,0 +1,161 @@
+const axios = require('axios');
+
+jest.mock('../config', () => ({
+  retry: { maxRetries: 5, baseDelayMs: 0, maxDelayMs: 0, retryBudget: 50, budgetWindowMs: 60000 }
+}));
+jest.mock('./logger', () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const {
+  attachRetry,
+  isIdempotentRequest,
+  isRetryableError,
+  parseRetryAfter,
+  getRetryDelay,
+  resolveSettings
+} = require('./retry');
+
+const httpError = (method, status, { idempotent, headers = {} } = {}) => ({
+  config: { method, idempotent },
+  response: { status, headers }
+});
+
+const networkError = (method, code) => ({ config: { method }, code });
+
+describe('isIdempotentRequest', () => {
+  test('treats GET, PUT and DELETE as idempotent and POST and PATCH as not', () => {
+    expect(isIdempotentRequest({ method: 'get' })).toBe(true);
+    expect(isIdempotentRequest({ method: 'PUT' })).toBe(true);
+    expect(isIdempotentRequest({ method: 'delete' })).toBe(true);
+    expect(isIdempotentRequest({ method: 'post' })).toBe(false);
+    expect(isIdempotentRequest({ method: 'patch' })).toBe(false);
+  });
+
+  test('lets a request opt in with idempotent: true', () => {
+    expect(isIdempotentRequest({ method: 'post', idempotent: true })).toBe(true);
+  });
+});
+
+describe('isRetryableError', () => {
+  test('retries a GET on a server error, timeout or dropped connection', () => {
+    expect(isRetryableError(httpError('get', 503))).toBe(true);
+    expect(isRetryableError(httpError('get', 408))).toBe(true);
+    expect(isRetryableError(networkError('get', 'ECONNRESET'))).toBe(true);
+  });
+
+  test('does not retry client errors', () => {
+    expect(isRetryableError(httpError('get', 400))).toBe(false);
+    expect(isRetryableError(httpError('get', 404))).toBe(false);
+  });
+
+  test('does not retry a POST the server may already have applied', () => {
+    expect(isRetryableError(httpError('post', 500))).toBe(false);
+    expect(isRetryableError(httpError('post', 503))).toBe(false);
+    expect(isRetryableError(networkError('post', 'ECONNRESET'))).toBe(false);
+    expect(isRetryableError(networkError('post', 'ETIMEDOUT'))).toBe(false);
+  });
+
+  test('retries a POST that was rate limited or never connected', () => {
+    expect(isRetryableError(httpError('post', 429))).toBe(true);
+    expect(isRetryableError(networkError('post', 'ECONNREFUSED'))).toBe(true);
+  });
+
+  test('retries a POST on a server error when it opts in as idempotent', () => {
+    expect(isRetryableError(httpError('post', 503, { idempotent: true }))).toBe(true);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  test('reads seconds', () => {
+    expect(parseRetryAfter({ 'retry-after': '2' })).toBe(2000);
+  });
+
+  test('reads an HTTP date', () => {
+    const delay = parseRetryAfter({ 'retry-after': new Date(Date.now() + 10000).toUTCString() });
+    expect(delay).toBeGreaterThan(8000);
+    expect(delay).toBeLessThanOrEqual(10000);
+  });
+
+  test('returns null for a missing or unreadable header', () => {
+    expect(parseRetryAfter({})).toBeNull();
+    expect(parseRetryAfter({ 'retry-after': 'soon' })).toBeNull();
+  });
+});
+
+describe('getRetryDelay', () => {
+  const settings = { baseDelayMs: 100, maxDelayMs: 30000 };
+
+  test('uses Retry-After when present', () => {
+    expect(getRetryDelay(httpError('get', 503, { headers: { 'retry-after': '3' } }), 0, settings)).toBe(3000);
+  });
+
+  test('caps Retry-After at maxDelayMs', () => {
+    expect(getRetryDelay(httpError('get', 429, { headers: { 'retry-after': '3600' } }), 0, settings)).toBe(30000);
+    const date = new Date(Date.now() + 3600 * 1000).toUTCString();
+    expect(getRetryDelay(httpError('get', 429, { headers: { 'retry-after': date } }), 0, settings)).toBe(30000);
+  });
+
+  test('caps the rate limit reset at maxDelayMs', () => {
+    const reset = String(Math.floor(Date.now() / 1000) + 3600);
+    expect(getRetryDelay(httpError('get', 429, { headers: { 'x-ratelimit-reset': reset } }), 0, settings)).toBe(30000);
+  });
+
+  test('falls back to jittered exponential backoff', () => {
+    const delay = getRetryDelay(httpError('get', 503), 3, settings);
+    expect(delay).toBeGreaterThanOrEqual(0);
+    expect(delay).toBeLessThanOrEqual(800);
+  });
+});
+
+describe('resolveSettings', () => {
+  test('replaces missing or non-numeric settings with the defaults', () => {
+    const settings = resolveSettings({ maxRetries: NaN, retryBudget: -1, baseDelayMs: 250 });
+    expect(settings.maxRetries).toBe(5);
+    expect(settings.retryBudget).toBe(50);
+    expect(settings.baseDelayMs).toBe(250);
+  });
+});
+
+describe('attachRetry', () => {
+  // An axios client whose requests all fail with the given status
+  const failingClient = (status, options) => {
+    const adapter = jest.fn(requestConfig => Promise.reject(Object.assign(new Error(`Request failed with status ${status}`), {
+      config: requestConfig,
+      response: { status, headers: {}, data: {} }
+    })));
+    const client = attachRetry(axios.create({ adapter }), { baseDelayMs: 0, maxDelayMs: 0, ...options });
+    return { client, adapter };
+  };
+
+  test('retries an idempotent request up to maxRetries', async () => {
+    const { client, adapter } = failingClient(503, { maxRetries: 2 });
+    await expect(client.get('/items')).rejects.toThrow('503');
+    expect(adapter).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not resend a POST after a server error', async () => {
+    const { client, adapter } = failingClient(500);
+    await expect(client.post('/items', {})).rejects.toThrow('500');
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+
+  test('resends a POST after rate limiting', async () => {
+    const { client, adapter } = failingClient(429, { maxRetries: 1 });
+    await expect(client.post('/items', {})).rejects.toThrow('429');
+    expect(adapter).toHaveBeenCalledTimes(2);
+  });
+
+  test('stops retrying once the budget is used up', async () => {
+    const { client, adapter } = failingClient(503, { maxRetries: 5, retryBudget: 2 });
+    await expect(client.get('/a')).rejects.toThrow('503');
+    expect(adapter).toHaveBeenCalledTimes(3);
+
+    await expect(client.get('/b')).rejects.toThrow('503');
+    expect(adapter).toHaveBeenCalledTimes(4);
+  });
+
+  test('still bounds retries when maxRetries is not a number', async () => {
+    const { client, adapter } = failingClient(503, { maxRetries: NaN });
+    await expect(client.get('/items')).rejects.toThrow('503');
+    expect(adapter).toHaveBeenCalledTimes(6);
+  });
+});
@@ -0,0 +1,32 @@
+// Labels shown before each message in dialogue transcripts, keyed by Intercom author type
+const SPEAKER_LABELS = {
+  user: 'Customer',
+  lead: 'Customer',
+  contact: 'Customer',
+  admin: 'Agent',
+  team: 'Agent',
+  bot: 'Bot'
+};
+
+// Author types that are the customer: Intercom reports leads and contacts alongside users
+const CUSTOMER_AUTHOR_TYPES = new Set(['user', 'lead', 'contact']);
+
+/**
+ * Whether a message was written by the customer
+ */
+function isCustomerAuthor(authorType) {
+  return CUSTOMER_AUTHOR_TYPES.has(authorType);
+}
+
+/**
+ * Get the speaker label for an Intercom author type, or null for unknown authors
+ */
+function getSpeakerLabel(authorType) {
+  return SPEAKER_LABELS[authorType] || null;
+}
+
+module.exports = {
+  SPEAKER_LABELS,
+  getSpeakerLabel,
+  isCustomerAuthor
+};
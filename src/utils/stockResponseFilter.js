@@ -0,0 +1,130 @@
+const fs = require('fs');
+const logger = require('./logger');
+
+const RULE_TYPES = ['exact', 'prefix', 'regex', 'fuzzy'];
+
+/**
+ * Normalise a message for comparison: unify quotes and whitespace, lowercase.
+ * Messages are already plain text (see htmlToText).
+ */
+function normalizeText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[\u2018\u2019]/g, "'") // Normalize apostrophes
+    .replace(/[\u201C\u201D]/g, '"') // Normalize quotes
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Levenshtein distance, giving up early once it exceeds maxDistance
+ */
+function editDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+class StockResponseFilter {
+  constructor(rules = []) {
+    this.rules = rules.map((rule, index) => this.compileRule(rule, index));
+  }
+
+  /**
+   * Load rules from a JSON config file
+   */
+  static fromFile(filePath) {
+    try {
+      const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const filter = new StockResponseFilter(content.rules || []);
+      logger.debug(`Loaded ${filter.rules.length} stock response rules`, { filePath });
+      return filter;
+    } catch (error) {
+      logger.error('Failed to load stock response rules', { filePath, error: error.message });
+      throw error;
+    }
+  }
+
+  compileRule(rule, index) {
+    const id = rule.id || `rule-${index + 1}`;
+
+    if (!RULE_TYPES.includes(rule.type)) {
+      throw new Error(`Stock response rule "${id}" has unknown type "${rule.type}" (expected one of ${RULE_TYPES.join(', ')})`);
+    }
+
+    if (rule.type === 'regex') {
+      if (!rule.pattern) {
+        throw new Error(`Stock response rule "${id}" needs a pattern`);
+      }
+      return { id, type: rule.type, regex: new RegExp(rule.pattern, rule.flags || '') };
+    }
+
+    const values = (rule.values || (rule.value ? [rule.value] : [])).map(normalizeText);
+    if (values.length === 0) {
+      throw new Error(`Stock response rule "${id}" needs at least one value`);
+    }
+
+    return {
+      id,
+      type: rule.type,
+      values,
+      maxDistance: rule.type === 'fuzzy' ? (rule.maxDistance ?? 2) : 0
+    };
+  }
+
+  matchesRule(rule, normalized) {
+    switch (rule.type) {
+      case 'exact':
+        return rule.values.includes(normalized);
+      case 'prefix':
+        return rule.values.some(value => normalized.startsWith(value));
+      case 'regex':
+        return rule.regex.test(normalized);
+      case 'fuzzy':
+        return rule.values.some(value => editDistance(normalized, value, rule.maxDistance) <= rule.maxDistance);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Return the id of the first rule matching the message, or null
+   */
+  findMatchingRule(text) {
+    const normalized = normalizeText(text);
+    if (!normalized) {
+      return null;
+    }
+
+    const rule = this.rules.find(candidate => this.matchesRule(candidate, normalized));
+    return rule ? rule.id : null;
+  }
+
+  isStockResponse(text) {
+    return this.findMatchingRule(text) !== null;
+  }
+}
+
+module.exports = StockResponseFilter;
+module.exports.normalizeText = normalizeText;
+module.exports.editDistance = editDistance;
@@ -0,0 +1,69 @@
+const fs = require('fs').promises;
+const writeFileAtomic = require('./writeFileAtomic');
+const logger = require('./logger');
+
+class SyncState {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Load the persisted sync state (empty object if there is none yet)
+   */
+  async load() {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      logger.error('Failed to load sync state', { filePath: this.filePath, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * The high-water mark (Unix seconds) of the last successful sync, or null
+   */
+  async getWatermark() {
+    const state = await this.load();
+    return typeof state.watermark === 'number' ? state.watermark : null;
+  }
+
+  /**
+   * Conversations a previous run could not fetch, to be retried on the next run
+   */
+  async getPendingConversationIds() {
+    const state = await this.load();
+    return Array.isArray(state.pendingConversationIds) ? state.pendingConversationIds : [];
+  }
+
+  /**
+   * Move the watermark forward; it never moves backwards. The conversations still to
+   * retry are saved in the same write, so a crash cannot advance past them.
+   */
+  async advanceWatermark(timestamp, details = {}, { pendingConversationIds = [] } = {}) {
+    const state = await this.load();
+    const watermark = Math.max(state.watermark || 0, timestamp);
+
+    const nextState = {
+      ...state,
+      watermark,
+      watermarkDate: new Date(watermark * 1000).toISOString(),
+      lastSuccessfulRunAt: new Date().toISOString(),
+      lastRun: details,
+      pendingConversationIds
+    };
+
+    await writeFileAtomic(this.filePath, JSON.stringify(nextState, null, 2));
+
+    logger.info('Advanced sync watermark', {
+      watermark: nextState.watermarkDate,
+      pendingConversations: pendingConversationIds.length
+    });
+    return watermark;
+  }
+}
+
+module.exports = SyncState;
@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+
+/**
+ * Verify Intercom's X-Hub-Signature header (`sha1=<hex HMAC of the raw body>`)
+ */
+function verifyIntercomSignature(rawBody, signatureHeader, clientSecret) {
+  if (!rawBody || !signatureHeader || !clientSecret) {
+    return false;
+  }
+
+  const [algorithm, signature] = String(signatureHeader).split('=');
+  if (algorithm !== 'sha1' || !signature) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac('sha1', clientSecret)
+    .update(rawBody)
+    .digest('hex');
+
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const signatureBuffer = Buffer.from(signature, 'utf8');
+
+  return expectedBuffer.length === signatureBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
+module.exports = {
+  verifyIntercomSignature
+};
@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const { verifyIntercomSignature } = require('./webhookSignature');
+
+const SECRET = 'client-secret';
+const BODY = Buffer.from(JSON.stringify({ topic: 'conversation.user.replied', data: { item: { id: '123' } } }));
+
+const sign = (body, secret = SECRET) => `sha1=${crypto.createHmac('sha1', secret).update(body).digest('hex')}`;
+
+describe('verifyIntercomSignature', () => {
+  test('accepts a valid signature', () => {
+    expect(verifyIntercomSignature(BODY, sign(BODY), SECRET)).toBe(true);
+  });
+
+  test('rejects a tampered body', () => {
+    const tampered = Buffer.from(BODY.toString('utf8').replace('123', '124'));
+    expect(verifyIntercomSignature(tampered, sign(BODY), SECRET)).toBe(false);
+  });
+
+  test('rejects a signature made with another secret', () => {
+    expect(verifyIntercomSignature(BODY, sign(BODY, 'other-secret'), SECRET)).toBe(false);
+  });
+
+  test('rejects a wrong or missing sha1= prefix', () => {
+    const hex = sign(BODY).slice('sha1='.length);
+    expect(verifyIntercomSignature(BODY, `sha256=${hex}`, SECRET)).toBe(false);
+    expect(verifyIntercomSignature(BODY, hex, SECRET)).toBe(false);
+    expect(verifyIntercomSignature(BODY, 'sha1=', SECRET)).toBe(false);
+  });
+
+  test('rejects a signature of the wrong length', () => {
+    expect(verifyIntercomSignature(BODY, sign(BODY).slice(0, -2), SECRET)).toBe(false);
+    expect(verifyIntercomSignature(BODY, `${sign(BODY)}00`, SECRET)).toBe(false);
+  });
+
+  test('rejects a missing header, body or secret', () => {
+    expect(verifyIntercomSignature(BODY, undefined, SECRET)).toBe(false);
+    expect(verifyIntercomSignature(undefined, sign(BODY), SECRET)).toBe(false);
+    expect(verifyIntercomSignature(BODY, sign(BODY), '')).toBe(false);
+    expect(verifyIntercomSignature(BODY, sign(BODY), undefined)).toBe(false);
+  });
+});
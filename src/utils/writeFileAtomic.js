@@ -0,0 +1,16 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Write a file by writing a temp file next to it and renaming it into place, so a
+ * crash never leaves a half-written file. Creates the directory if needed; options
+ * are passed to fs.writeFile (e.g. a file mode).
+ */
+async function writeFileAtomic(filePath, content, options = 'utf8') {
+  const tempPath = `${filePath}.tmp`;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(tempPath, content, options);
+  await fs.rename(tempPath, filePath);
+}
+
+module.exports = writeFileAtomic;